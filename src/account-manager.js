@@ -4,15 +4,49 @@ const logger = require('./utils/logger');
 const BaileysClient = require('./baileys-client');
 const StealthLoggerService = require('./services/stealth-logger');
 const TMDBService = require('./services/tmdb');
+const FixtureProvider = require('./services/fixture-provider');
+const MetadataProvider = require('./services/metadata-provider');
 const CommandRouter = require('./services/command-router');
-const { isGroupChat, getPhoneFromJid, getMessageContent, getSenderName, sleep } = require('./utils/helpers');
+const CommandRegistry = require('./services/command-registry');
+const movieCommands = require('./services/movie-commands');
+const adminCommands = require('./services/admin-commands');
+const AuditLog = require('./services/audit-log');
+const WatchlistService = require('./services/watchlist');
+const ReminderService = require('./services/reminders');
+const FollowService = require('./services/follows');
+const AvailabilityAlertService = require('./services/availability-alerts');
+const SubscriptionService = require('./services/subscriptions');
+const MovieNightService = require('./services/movie-nights');
+const { isGroupChat, getPhoneFromJid, getMessageContent, getQuotedMessageId, getSenderName, matchesGroupName, sleep } = require('./utils/helpers');
+
+// Modules !bot pause/resume can control, by lowercase name
+const PAUSABLE_MODULES = {
+  moviebot: 'movieBot',
+  stealthlogger: 'stealthLogger'
+};
+
+// setTimeout's longest delay (~24.8 days); timers for later polls are re-armed when they fire
+const MAX_TIMER_DELAY = 2147483647;
+
+// Wait before retrying a movie night poll that couldn't be closed on time
+const MOVIE_NIGHT_RETRY_DELAY = 60000;
+
+// Release days are counted here when the region has several timezones and movieBot.timezone isn't set
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
 
 class AccountManager {
   constructor() {
     this.accounts = new Map();
     this.configPath = path.join(process.cwd(), 'config', 'accounts.json');
     this.tmdbService = new TMDBService();
-    this.commandRouter = new CommandRouter();
+    this.fixtureProviders = new Map(); // Fixture providers by file path (shared across accounts)
+    this.commandRouter = new CommandRouter(new CommandRegistry(movieCommands));
+    this.adminRegistry = new CommandRegistry(adminCommands);
+    this.auditLog = new AuditLog();
+    this.pausedModules = new Map(); // accountId -> Set of modules paused with !bot pause (until resumed)
+    this.unknownCertifications = new Set(); // contentPolicy limits already reported as unknown
+    this.unknownTimeZones = new Set(); // movieBot.timezone values already reported as unknown
+    this.movieNightTimers = new Map(); // Close timers for open movie night polls, by poll ID
     this.configWatcher = null; // Store file watcher for cleanup
     this.stats = {
       messagesProcessed: 0,
@@ -48,22 +82,68 @@ class AccountManager {
     if (this.sleepConfig.enabled) {
       this.startSleepMonitor();
     }
+    
+    // Background jobs (release reminders, new episode and availability alerts) run on this interval
+    this.backgroundJobInterval = parseInt(process.env.BACKGROUND_JOB_INTERVAL) || 1800000; // 30 minutes
+    this.backgroundJobsRunning = false;
   }
 
   /**
    * Check if current time is within busy hours
+   * @param {string} timeZone - IANA timezone to read the hour in (default IST, the bot's home timezone)
    * @returns {boolean} True if within busy hours
    */
-  isWithinBusyHours() {
-    const now = new Date();
-    // Convert to IST (UTC+5:30)
-    const istOffset = 5.5 * 60 * 60 * 1000;
-    const istTime = new Date(now.getTime() + istOffset);
-    const hour = istTime.getUTCHours();
+  isWithinBusyHours(timeZone = DEFAULT_TIMEZONE) {
+    const hour = Number(new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(new Date()));
     
     return hour >= this.sleepConfig.busyHoursStart && hour < this.sleepConfig.busyHoursEnd;
   }
 
+  /**
+   * Get the timezone release days are counted in for a locale
+   * movieBot.timezone wins; otherwise the region's timezone if it has only one
+   * (or several sharing one UTC offset), else IST (the bot's home timezone)
+   * @param {object} locale - Locale options { region, timeZone }
+   * @returns {string} IANA timezone
+   */
+  getTimeZone(locale = {}) {
+    if (locale.timeZone) {
+      try {
+        new Intl.DateTimeFormat('en-CA', { timeZone: locale.timeZone });
+        return locale.timeZone;
+      } catch (error) {
+        if (!this.unknownTimeZones.has(locale.timeZone)) {
+          this.unknownTimeZones.add(locale.timeZone);
+          logger.warn(`movieBot.timezone "${locale.timeZone}" is not a known timezone, using the region's`);
+        }
+      }
+    }
+
+    let zones = [];
+    try {
+      const region = new Intl.Locale(`und-${(locale.region || 'IN').toUpperCase()}`);
+      zones = (region.getTimeZones?.() ?? region.timeZones) || [];
+    } catch (error) {
+      // Not a region code Intl understands
+    }
+    const offsets = new Set(zones.map(timeZone =>
+      new Intl.DateTimeFormat('en', { timeZone, timeZoneName: 'longOffset' }).format(new Date())
+        .split(' ').pop()
+    ));
+
+    return zones.length > 0 && offsets.size === 1 ? zones[0] : DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Get today's date where a locale's chat is (see getTimeZone)
+   * @param {object} locale - Locale options { region, timeZone }
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  getLocalDate(locale = {}) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone: this.getTimeZone(locale) }).format(new Date());
+  }
+
   /**
    * Wake up the bot from sleep state
    */
@@ -188,14 +268,29 @@ class AccountManager {
         logger.success(`[${accountId}] Stealth logger enabled`);
       }
 
+      // Resolve metadata provider for the movie bot
+      const provider = this.getMetadataProvider(modules.movieBot);
+
       // Store account data
       this.accounts.set(accountId, {
         client,
         config: accountConfig,
         stealthLogger,
+        provider,
+        watchlist: new WatchlistService(accountId),
+        reminders: new ReminderService(accountId),
+        follows: new FollowService(accountId),
+        availabilityAlerts: new AvailabilityAlertService(accountId),
+        subscriptions: new SubscriptionService(accountId),
+        movieNights: new MovieNightService(accountId),
         modules
       });
 
+      // Polls still open from before a restart close on their original schedule
+      for (const poll of this.accounts.get(accountId).movieNights.getAll()) {
+        this.scheduleMovieNightClose(accountId, poll);
+      }
+
       // Register message handlers
       client.onMessageReceived(async (message, clientInstance) => {
         await this.handleMessage(accountId, message, clientInstance);
@@ -205,6 +300,10 @@ class AccountManager {
         await this.handleMessageDelete(accountId, deleteInfo, clientInstance);
       });
 
+      client.onPollUpdated(async (pollId, tally) => {
+        await this.handlePollUpdate(accountId, pollId, tally);
+      });
+
       // Initialize client
       await client.initialize();
 
@@ -215,6 +314,88 @@ class AccountManager {
     }
   }
 
+  /**
+   * Get metadata provider for a movie bot configuration
+   * TMDB is shared across accounts so all of them use the same cache
+   * @param {object} movieBotConfig - Movie bot module configuration
+   * @returns {MetadataProvider} Provider instance
+   */
+  getMetadataProvider(movieBotConfig) {
+    const type = movieBotConfig?.provider || 'tmdb';
+
+    if (type === 'tmdb') {
+      return this.tmdbService;
+    }
+
+    if (type === 'fixture') {
+      if (!movieBotConfig.fixturePath) {
+        throw new Error('movieBot.fixturePath is required for the fixture provider');
+      }
+      if (!this.fixtureProviders.has(movieBotConfig.fixturePath)) {
+        this.fixtureProviders.set(movieBotConfig.fixturePath, new FixtureProvider(movieBotConfig.fixturePath));
+      }
+      return this.fixtureProviders.get(movieBotConfig.fixturePath);
+    }
+
+    throw new Error(`Unknown movieBot.provider: ${type}`);
+  }
+
+  /**
+   * Get effective movie bot settings for a chat
+   * Applies the first matching entry of movieBot.groupOverrides (partial,
+   * case-insensitive group name match) on top of the account settings
+   * @param {object} movieBotConfig - Movie bot module configuration
+   * @param {string|null} groupName - Group name (null for private chats)
+   * @returns {object} Effective movie bot settings
+   */
+  getMovieBotSettings(movieBotConfig, groupName) {
+    if (!groupName || !movieBotConfig.groupOverrides) {
+      return movieBotConfig;
+    }
+
+    for (const [pattern, override] of Object.entries(movieBotConfig.groupOverrides)) {
+      if (matchesGroupName(groupName, [pattern])) {
+        return { ...movieBotConfig, ...override };
+      }
+    }
+
+    return movieBotConfig;
+  }
+
+  /**
+   * Get metadata locale options from movie bot settings
+   * @param {object} settings - Effective movie bot settings
+   * @returns {object} Locale options { region, language, trailerLanguages, includeAdult, timeZone }
+   */
+  getLocale(settings) {
+    return {
+      region: settings.region,
+      language: settings.language,
+      trailerLanguages: settings.trailerLanguages,
+      includeAdult: Boolean(settings.contentPolicy?.allowAdult),
+      timeZone: settings.timezone
+    };
+  }
+
+  /**
+   * Get the content policy from movie bot settings
+   * A string maxCertification applies to movies and series alike
+   * @param {object} settings - Effective movie bot settings
+   * @returns {object} { allowAdult, maxCertification: { movie, series }, hideUnrated }
+   */
+  getContentPolicy(settings) {
+    const policy = settings.contentPolicy || {};
+    const max = policy.maxCertification;
+
+    return {
+      allowAdult: Boolean(policy.allowAdult),
+      maxCertification: typeof max === 'string'
+        ? { movie: max, series: max }
+        : { movie: max?.movie || null, series: max?.series || null },
+      hideUnrated: Boolean(policy.hideUnrated)
+    };
+  }
+
   /**
    * Handle incoming message
    * @param {string} accountId - Account ID
@@ -241,7 +422,7 @@ class AccountManager {
       // View-once messages need to be processed BEFORE the fromMe check because:
       // 1. When you open/view a view-once message, some events may appear as fromMe:true
       // 2. We want to capture view-once content regardless of direction
-      if (account.stealthLogger && msgContent) {
+      if (account.stealthLogger && msgContent && !this.isPaused(accountId, 'stealthLogger')) {
         const isViewOnceMedia = msgContent?.imageMessage?.viewOnce || 
                                  msgContent?.videoMessage?.viewOnce || 
                                  msgContent?.audioMessage?.viewOnce;
@@ -351,7 +532,7 @@ class AccountManager {
       }
 
       // STEALTH LOGGER PROCESSING
-      if (account.stealthLogger) {
+      if (account.stealthLogger && !this.isPaused(accountId, 'stealthLogger')) {
         // Register contact in the contact registry for potential future name lookups
         if (actualSenderJid && senderName) {
           account.stealthLogger.registerContact(actualSenderJid, senderName);
@@ -391,8 +572,11 @@ class AccountManager {
         }
       }
 
+      // Owner admin commands (cached by the stealth logger above, never reach the movie bot)
+      if (await this.handleAdminCommand(accountId, message, client)) return;
+
       // MOVIE BOT PROCESSING
-      if (account.modules.movieBot && account.modules.movieBot.enabled) {
+      if (account.modules.movieBot && account.modules.movieBot.enabled && !this.isPaused(accountId, 'movieBot')) {
         await this.handleMovieBot(accountId, message, client, senderName, groupName);
       }
 
@@ -403,260 +587,1802 @@ class AccountManager {
   }
 
   /**
-   * Handle movie bot commands
-   * @param {string} accountId - Account ID
-   * @param {object} message - Message object
-   * @param {object} client - Client instance
-   * @param {string} senderName - Sender name
-   * @param {string} groupName - Group name
+   * Search through a provider by result type
+   * @param {MetadataProvider} provider - Metadata provider
+   * @param {string} type - 'movie', 'series', 'person', 'multi', 'filmography',
+   *   'trending', 'popular', 'now_playing' or 'upcoming'
+   * @param {string|number|object} query - Search query (person ID for 'filmography', 'day'/'week'
+   *   for 'trending', { type, id } of the source title for 'recommendations', collection ID for 'collection',
+   *   parsed filters for 'discover')
+   * @param {object} locale - Locale options
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page
    */
-  async handleMovieBot(accountId, message, client, senderName, groupName) {
-    try {
-      const account = this.accounts.get(accountId);
-      const movieBotConfig = account.modules.movieBot;
-      
-      // Check if group is allowed
-      if (groupName && movieBotConfig.allowedGroups && movieBotConfig.allowedGroups.length > 0) {
-        const helpers = require('./utils/helpers');
-        if (!helpers.matchesGroupName(groupName, movieBotConfig.allowedGroups)) {
-          return; // Not in allowed group
-        }
-      }
+  async searchByType(provider, type, query, locale, page) {
+    switch (type) {
+      case 'movie':
+        return provider.searchMovie(query, locale, page);
+      case 'series':
+        return provider.searchSeries(query, locale, page);
+      case 'person':
+        return provider.searchPerson(query, locale, page);
+      case 'multi':
+        return provider.searchMulti(query, locale, page);
+      case 'filmography':
+        return provider.getPersonCredits(query, locale, page);
+      case 'trending':
+        return provider.getTrending(query, locale, page);
+      case 'popular':
+        return provider.getPopular(locale, page);
+      case 'now_playing':
+        return provider.getNowPlaying(locale, page);
+      case 'upcoming':
+        return provider.getUpcoming(locale, page);
+      case 'recommendations':
+        return provider.getRecommendations(query.type, query.id, locale, page);
+      case 'collection':
+        return provider.getCollection(query, locale, page);
+      case 'discover':
+        return provider.discover(query, locale, page);
+      default:
+        throw new Error(`Unknown search type: ${type}`);
+    }
+  }
 
-      const text = getMessageContent(message.message);
-      if (!text) return;
+  /**
+   * Find a result in a search state by its number
+   * Numbers continue across pages, so the result may be on a page not shown yet
+   * @param {object} ctx - Movie bot context
+   * @param {object} searchState - User search state
+   * @param {number} index - 1-based result number
+   * @returns {Promise<object|null>} Result, or null if out of range
+   */
+  async getResultByIndex(ctx, searchState, index) {
+    if (index > searchState.totalResults) return null;
 
-      const command = this.commandRouter.parseCommand(text, movieBotConfig.commandPrefix);
-      const userId = message.key.participant || message.key.remoteJid;
+    const selected = searchState.results.find(r => r.index === index);
+    if (selected) return selected;
 
-      // Handle search commands
-      if (command.type === 'movie_search' || command.type === 'series_search') {
-        // Check rate limit
-        const rateLimit = this.commandRouter.checkRateLimit(userId, movieBotConfig.rateLimit);
-        if (!rateLimit.allowed) {
-          await client.sendMessage(message.key.remoteJid, 
-            `⏱️ Too many requests. Wait ${rateLimit.remainingTime} seconds.`
-          );
-          return;
-        }
+    const page = Math.ceil(index / MetadataProvider.PAGE_SIZE);
+    const searchPage = await this.fetchList(ctx, searchState.type, searchState.query, page);
+    return searchPage.results.find(r => r.index === index) || null;
+  }
 
-        if (!command.query) {
-          await client.sendMessage(message.key.remoteJid, 
-            '❌ Please provide a search term. Example: !movie Inception'
-          );
-          return;
-        }
+  /**
+   * Get the certification limit the chat's content policy sets for a media type
+   * Certifications are compared by their rank in the region's list
+   * @param {object} ctx - Movie bot context
+   * @param {string} type - 'movie' or 'series'
+   * @returns {Promise<object|null>} { certifications, limit } (uppercase list, rank of the
+   *   highest allowed), or null if certifications don't matter
+   */
+  async getCertificationLimit(ctx, type) {
+    const { account, locale, settings } = ctx;
+    const max = this.getContentPolicy(settings).maxCertification[type];
+    if (!max) return null;
+
+    const certifications = (await account.provider.getCertifications(type, locale))
+      .map(certification => certification.toUpperCase());
+    const limit = certifications.indexOf(max.toUpperCase());
+    if (limit === -1) {
+      const key = `${type}:${locale.region}:${max}`;
+      if (!this.unknownCertifications.has(key)) {
+        this.unknownCertifications.add(key);
+        logger.warn(`contentPolicy maxCertification "${max}" is not a ${type} certification in ${locale.region || 'the default region'}, not applying it`);
+      }
+      return null;
+    }
 
-        // Search
-        const results = command.type === 'movie_search' 
-          ? await this.tmdbService.searchMovie(command.query)
-          : await this.tmdbService.searchSeries(command.query);
+    return { certifications, limit };
+  }
 
-        // Store search state
-        this.commandRouter.setUserSearch(userId, {
-          results,
-          type: command.type === 'movie_search' ? 'movie' : 'series'
-        });
+  /**
+   * Check whether a title may be shown under the chat's content policy
+   * Titles without a certification in the region count as unrated
+   * @param {object} ctx - Movie bot context
+   * @param {string} type - 'movie' or 'series'
+   * @param {object} title - Search result or details ({ id, adult, certification })
+   * @param {object|null} certificationLimit - Limit from getCertificationLimit, when already known
+   * @returns {Promise<boolean>} True if the title may be shown
+   */
+  async isAllowedByContentPolicy(ctx, type, title, certificationLimit = undefined) {
+    const { account, locale, settings } = ctx;
+    const policy = this.getContentPolicy(settings);
 
-        // Format and send results
-        const response = this.commandRouter.formatSearchResults(
-          results,
-          command.type === 'movie_search' ? 'movie' : 'series'
-        );
+    if (title.adult && !policy.allowAdult) return false;
 
-        await client.sendMessage(message.key.remoteJid, response);
-        this.stats.moviesSearched++;
-      }
+    const restriction = certificationLimit !== undefined ? certificationLimit : await this.getCertificationLimit(ctx, type);
+    if (!restriction) return true;
 
-      // Handle selection
-      else if (command.type === 'selection') {
-        const searchState = this.commandRouter.getUserSearch(userId);
-        
-        if (!searchState) {
-          return; // No active search
-        }
+    // Search results don't carry a certification; details do
+    const certification = title.certification !== undefined
+      ? title.certification
+      : await account.provider.getCertification(type, title.id, locale).catch(() => null);
+    const rank = certification ? restriction.certifications.indexOf(certification.toUpperCase()) : -1;
 
-        const selectedIndex = command.value - 1;
-        if (selectedIndex < 0 || selectedIndex >= searchState.results.length) {
-          return; // Invalid selection
-        }
+    return rank === -1 ? !policy.hideUnrated : rank <= restriction.limit;
+  }
 
-        const selected = searchState.results[selectedIndex];
-        
-        // Get details
-        const details = searchState.type === 'movie'
-          ? await this.tmdbService.getMovieDetails(selected.id)
-          : await this.tmdbService.getSeriesDetails(selected.id);
-
-        // Download poster and send with formatted caption
-        if (details.poster) {
-          const posterBuffer = await this.tmdbService.downloadPoster(details.poster);
-          if (posterBuffer) {
-            const caption = this.commandRouter.formatDetailsCaption(details, searchState.type);
-            await client.sendMedia(message.key.remoteJid, posterBuffer, 'image', caption);
-          } else {
-            // If poster download fails, send as text message
-            const response = this.commandRouter.formatDetailsCaption(details, searchState.type);
-            await client.sendMessage(message.key.remoteJid, response);
-          }
-        } else {
-          // If no poster available, send as text message
-          const response = this.commandRouter.formatDetailsCaption(details, searchState.type);
-          await client.sendMessage(message.key.remoteJid, response);
-        }
+  /**
+   * Fetch a page of a list and drop titles the chat's content policy hides
+   * Hidden titles keep their numbers, so selections stay stable across pages
+   * @param {object} ctx - Movie bot context
+   * @param {string} type - Result type (see searchByType)
+   * @param {*} query - Query for the list (see searchByType)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page
+   */
+  async fetchList(ctx, type, query, page) {
+    const listPage = await this.searchByType(ctx.account.provider, type, query, ctx.locale, page);
+
+    // Resolved once per page; without a limit no title's certification is looked up
+    const [movieLimit, seriesLimit] = await Promise.all([
+      this.getCertificationLimit(ctx, 'movie'),
+      this.getCertificationLimit(ctx, 'series')
+    ]);
+    const limits = { movie: movieLimit, series: seriesLimit };
+
+    // Titles are checked in parallel, so a limited page costs one round of lookups
+    const allowed = await Promise.all(listPage.results.map(result => {
+      const mediaType = result.mediaType || type;
+      return ['movie', 'series'].includes(mediaType)
+        ? this.isAllowedByContentPolicy(ctx, mediaType, result, limits[mediaType])
+        : true;
+    }));
 
-        // Clear search state
-        this.commandRouter.setUserSearch(userId, null);
-      }
+    return { ...listPage, results: listPage.results.filter((result, i) => allowed[i]) };
+  }
 
-    } catch (error) {
-      logger.error(`[${accountId}] Movie bot processing failed`, error);
-      this.stats.errors++;
-    }
+  /**
+   * Mark the results streaming on the sender's !myservices in the chat's region
+   * Only looked up for users who set their services
+   * @param {object} ctx - Movie bot context
+   * @param {object[]} results - Results on the page
+   * @param {string} type - Result type (see searchByType)
+   * @returns {Promise<object[]>} Results, with onMyServices (provider names) where any match
+   */
+  async markMyServices(ctx, results, type) {
+    const { account, userId, locale } = ctx;
+    const myServices = account.subscriptions.get(userId);
+    if (myServices.length === 0) return results;
+
+    const region = (locale.region || 'IN').toUpperCase();
+    return Promise.all(results.map(async result => {
+      const mediaType = result.mediaType || type;
+      if (!['movie', 'series'].includes(mediaType)) return result;
+
+      try {
+        const availability = await account.provider.getWatchProviders(mediaType, result.id, locale);
+        const onMyServices = this.commandRouter.matchServices(myServices, availability[region]?.flatrate || []);
+        return onMyServices.length > 0 ? { ...result, onMyServices } : result;
+      } catch (error) {
+        logger.debug(`Watch providers for ${mediaType} ${result.id} unavailable: ${error.message}`);
+        return result;
+      }
+    }));
   }
 
   /**
-   * Handle message deletion
-   * @param {string} accountId - Account ID
-   * @param {object} deleteInfo - Delete information
-   * @param {object} client - Client instance
+   * Send a page of results as a selectable list
+   * The list becomes the sender's latest search and is also attached to the
+   * sent message, so anyone can quote it with a number to open an item
+   * @param {object} ctx - Movie bot context
+   * @param {object} listPage - { results, page, totalPages, totalResults }
+   * @param {string} type - Result type (see searchByType)
+   * @param {*} query - Query used to fetch further pages
+   * @param {string|null} heading - Optional line shown above the list
    */
-  async handleMessageDelete(accountId, deleteInfo, client) {
-    try {
-      const account = this.accounts.get(accountId);
-      if (!account || !account.stealthLogger) return;
+  async sendResultList(ctx, listPage, type, query, heading = null) {
+    const { client, jid, userId, commandName } = ctx;
+    const searchState = { ...listPage, results: await this.markMyServices(ctx, listPage.results, type), type, query };
 
-      await account.stealthLogger.handleDeletedMessage(deleteInfo, client);
-      this.stats.deletedRecovered++;
-    } catch (error) {
-      logger.error(`[${accountId}] Delete handling failed`, error);
-      this.stats.errors++;
+    this.commandRouter.setUserSearch(userId, searchState);
+
+    const response = this.commandRouter.formatSearchResults(searchState.results, type, { ...listPage, commandName });
+    const sent = await client.sendMessage(jid, heading ? `${heading}\n\n${response}` : response);
+
+    if (sent?.key?.id) {
+      this.commandRouter.setMessageSearch(sent.key.id, searchState);
     }
   }
 
   /**
-   * Register active session/chat
+   * Send a caption with an image, falling back to text if the image is unavailable
+   * @param {object} client - Client instance
    * @param {string} jid - Chat JID
-   * @param {string} name - Chat name
+   * @param {MetadataProvider} provider - Provider used to download the image
+   * @param {string|null} imageUrl - Poster or photo URL
+   * @param {string} caption - Caption text
    */
-  registerSession(jid, name) {
-    if (!this.activeSessions.has(jid)) {
-      this.activeSessions.set(jid, {
-        jid,
-        name: name || jid,
-        isGroup: isGroupChat(jid),
-        firstSeen: Date.now(),
-        lastSeen: Date.now()
-      });
+  async sendWithImage(client, jid, provider, imageUrl, caption) {
+    const imageBuffer = imageUrl ? await provider.downloadPoster(imageUrl) : null;
+    if (imageBuffer) {
+      await client.sendMedia(jid, imageBuffer, 'image', caption);
     } else {
-      const session = this.activeSessions.get(jid);
-      session.lastSeen = Date.now();
+      // No image available or download failed, send as text message
+      await client.sendMessage(jid, caption);
     }
   }
 
   /**
-   * Remove account
-   * @param {string} accountId - Account ID
-   * @returns {Promise<void>}
+   * Handle !help [command]
+   * Only commands enabled for this account (and group overrides) are listed,
+   * under the names and prefix the account uses
+   * @param {object} ctx - Movie bot context
+   * @param {string} topic - Command to explain (empty for the full list)
    */
-  async removeAccount(accountId) {
-    const account = this.accounts.get(accountId);
-    if (!account) {
-      logger.warn(`Account ${accountId} not found`);
+  async sendHelp(ctx, topic) {
+    const { client, jid, settings, commandName } = ctx;
+    const prefix = settings.commandPrefix;
+    const registry = this.commandRouter.registry;
+
+    if (!topic) {
+      await client.sendMessage(jid, this.commandRouter.formatHelp(registry.getCommands(settings.commands), prefix, commandName));
       return;
     }
 
-    await account.client.disconnect();
-    this.accounts.delete(accountId);
-    logger.success(`[${accountId}] Account removed`);
+    // Accept "watchlist", "wl" and "!watchlist"
+    const [word] = topic.toLowerCase().split(/\s+/);
+    const name = word.startsWith(prefix) ? word.slice(prefix.length) : word;
+    const command = registry.find(name, settings.commands);
+
+    if (command) {
+      await client.sendMessage(jid, this.commandRouter.formatCommandHelp(command, prefix));
+      return;
+    }
+
+    const suggestions = registry.isRetired(name, settings.commands) ? [] : registry.suggest(name, settings.commands);
+    await client.sendMessage(jid, suggestions.length > 0
+      ? this.commandRouter.formatSuggestions(name, suggestions, prefix)
+      : `❌ Unknown command ${prefix}${name}. Send ${commandName('help')} for the list.`
+    );
   }
 
   /**
-   * Get account by ID
-   * @param {string} accountId - Account ID
-   * @returns {object|null} Account data
+   * Handle !movie, !series, !find and !actor
+   * @param {object} ctx - Movie bot context
+   * @param {string} type - 'movie', 'series', 'multi' or 'person'
+   * @param {string} query - Search text
    */
-  getAccount(accountId) {
-    return this.accounts.get(accountId);
+  async handleSearch(ctx, type, query) {
+    // IMDb/TMDB IDs and IMDb/TMDB/JustWatch links open the title directly
+    const reference = ['movie', 'series'].includes(type) ? this.commandRouter.parseTitleReference(query) : null;
+    if (reference) {
+      await this.openTitleReference(ctx, reference, type);
+      return;
+    }
+
+    // Search (first page)
+    const searchPage = await this.fetchList(ctx, type, query, 1);
+
+    // Store search state and send results
+    await this.sendResultList(ctx, searchPage, type, query);
+    this.stats.moviesSearched++;
   }
 
   /**
-   * Get all accounts
-   * @returns {Array} List of accounts
+   * Find the provider title a reference points at
+   * @param {object} ctx - Movie bot context
+   * @param {object} reference - Reference from CommandRouter.parseTitleReference
+   * @param {string} type - 'movie' or 'series', used when the reference doesn't say
+   * @returns {Promise<object|null>} { id, type } or null if not found
    */
-  getAllAccounts() {
-    return Array.from(this.accounts.entries()).map(([id, account]) => ({
-      accountId: id,
-      connected: account.client.isConnected(),
-      config: account.config,
-      stats: account.client.getStats()
-    }));
+  async resolveTitleReference(ctx, reference, type) {
+    const { account, locale } = ctx;
+
+    if (reference.source === 'imdb') {
+      return account.provider.findByExternalId(reference.id, 'imdb_id', locale);
+    }
+
+    if (reference.source === 'tmdb') {
+      return { id: reference.id, type: reference.type || type };
+    }
+
+    // JustWatch: search the slug title, preferring the year it ends with
+    const searchPage = await this.fetchList(ctx, reference.type, reference.title, 1);
+    const match = searchPage.results.find(result => reference.year && String(result.year) === reference.year)
+      || searchPage.results[0];
+    return match ? { id: match.id, type: reference.type } : null;
   }
 
   /**
-   * Start all accounts
-   * @returns {Promise<void>}
+   * Open the title an ID or link refers to
+   * @param {object} ctx - Movie bot context
+   * @param {object} reference - Reference from CommandRouter.parseTitleReference
+   * @param {string} type - 'movie' or 'series', used when the reference doesn't say
    */
-  async startAll() {
-    await this.loadAccounts();
-    
-    // Start command router cleanup
-    this.commandRouter.startCleanupInterval();
-    
-    // Start watching for config file changes (hot-reload new accounts)
-    this.startConfigWatcher();
-    
-    logger.success('Account Manager started');
+  async openTitleReference(ctx, reference, type) {
+    try {
+      const title = await this.resolveTitleReference(ctx, reference, type);
+      if (title) {
+        // Details are fetched before anything is sent, so a bad TMDB ID fails here too
+        await this.openResult(ctx, { id: title.id }, title.type);
+        return;
+      }
+    } catch (error) {
+      logger.debug(`Title reference lookup failed: ${error.message}`);
+    }
+
+    await ctx.client.sendMessage(ctx.jid, '❌ Couldn\'t find that title.');
   }
 
   /**
-   * Start watching config file for new accounts
-   * This enables adding accounts without restarting the bot
+   * Handle browse lists (trending, popular, now playing, upcoming)
+   * @param {object} ctx - Movie bot context
+   * @param {string} list - List type (see searchByType)
+   * @param {string|null} query - Time window for trending
    */
-  startConfigWatcher() {
-    try {
-      // Debounce timer to avoid multiple rapid reloads
-      let debounceTimer = null;
-      const DEBOUNCE_DELAY = 2000; // 2 seconds
+  async handleBrowse(ctx, list, query) {
+    const listPage = await this.fetchList(ctx, list, query, 1);
 
-      this.configWatcher = fs.watch(this.configPath, (eventType) => {
-        if (eventType === 'change') {
-          // Clear existing timer
-          if (debounceTimer) {
-            clearTimeout(debounceTimer);
-          }
-          
-          // Set new debounced timer
-          debounceTimer = setTimeout(async () => {
-            logger.info('📁 Config file changed, checking for new accounts...');
-            await this.checkForNewAccounts();
-          }, DEBOUNCE_DELAY);
-        }
-      });
+    // Lists are selectable and pageable just like search results
+    await this.sendResultList(ctx, listPage, list, query);
+  }
 
-      logger.info('👁️ Watching for config changes (hot-reload enabled)');
-    } catch (error) {
-      logger.warn('Could not start config watcher:', error.message);
+  /**
+   * Handle !more and !prev on the sender's latest list
+   * @param {object} ctx - Movie bot context
+   * @param {number} step - 1 for the next page, -1 for the previous one
+   */
+  async handlePage(ctx, step) {
+    const { client, jid, userId } = ctx;
+    const searchState = this.commandRouter.getUserSearch(userId);
+
+    if (!searchState) {
+      return; // No active search
+    }
+
+    const targetPage = searchState.page + step;
+    if (targetPage < 1 || targetPage > searchState.totalPages) {
+      await client.sendMessage(jid, step > 0 ? '❌ No more results.' : '❌ Already on the first page.');
+      return;
     }
+
+    const searchPage = await this.fetchList(ctx, searchState.type, searchState.query, targetPage);
+
+    await this.sendResultList(ctx, searchPage, searchState.type, searchState.query);
   }
 
   /**
-   * Stop watching config file
+   * Handle a number reply
+   * Quoting a result list selects from that list, whoever sent it;
+   * otherwise the number applies to the sender's own latest search
+   * @param {object} ctx - Movie bot context
+   * @param {number} index - Selected result number
    */
-  stopConfigWatcher() {
-    if (this.configWatcher) {
-      this.configWatcher.close();
-      this.configWatcher = null;
+  async handleSelection(ctx, index) {
+    const { userId, message } = ctx;
+    const quotedId = getQuotedMessageId(message.message);
+    const quotedSearch = quotedId ? this.commandRouter.getMessageSearch(quotedId) : null;
+    const searchState = quotedSearch || this.commandRouter.getUserSearch(userId);
+
+    if (!searchState) {
+      return; // No active search
     }
+
+    const selected = await this.getResultByIndex(ctx, searchState, index);
+    if (!selected) {
+      return; // Invalid selection
+    }
+
+    // The list stays selectable (and pageable) after opening a title, so
+    // `!watchlist add 2` or `!more` still refer to it; opening a person
+    // replaces it with their filmography. Mixed lists carry the type on each result
+    await this.openResult(ctx, selected, selected.mediaType || searchState.type);
   }
 
   /**
-   * Check for new accounts in config and load them dynamically
-   * @returns {Promise<void>}
+   * Open a selected result and send its details caption
+   * People get a profile caption followed by their filmography, which
+   * becomes the user's new selectable list
+   * @param {object} ctx - Movie bot context { account, client, jid, userId, locale, settings, commandName }
+   * @param {object} selected - Selected search result
+   * @param {string} type - 'movie', 'series' or 'person'
+   * @param {boolean} quiet - Send nothing for titles the content policy hides
    */
-  async checkForNewAccounts() {
-    try {
-      let config;
+  async openResult(ctx, selected, type, quiet = false) {
+    const { account, client, jid, userId, locale, settings, commandName } = ctx;
+
+    if (type === 'person') {
+      const person = await account.provider.getPersonDetails(selected.id, locale);
+      const caption = this.commandRouter.formatPersonCaption(person, account.provider.name);
+      await this.sendWithImage(client, jid, account.provider, person.photo, caption);
+
+      if (person.credits.length > 0) {
+        const creditsPage = await this.fetchList(ctx, 'filmography', selected.id, 1);
+        await this.sendResultList(ctx, creditsPage, 'filmography', selected.id);
+      }
+      return;
+    }
+
+    const details = type === 'movie'
+      ? await account.provider.getMovieDetails(selected.id, locale)
+      : await account.provider.getSeriesDetails(selected.id, locale);
+
+    if (!await this.isAllowedByContentPolicy(ctx, type, details)) {
+      if (!quiet) {
+        await client.sendMessage(jid, '🔞 This title is hidden by this chat\'s content settings.');
+      }
+      return;
+    }
+
+    const caption = this.commandRouter.formatDetailsCaption(details, type, commandName, {
+      myServices: account.subscriptions.get(userId),
+      template: settings.captionTemplate,
+      source: account.provider.name
+    });
+    await this.sendWithImage(client, jid, account.provider, details.poster, caption);
+
+    // Keep the title around for follow-up commands (!similar, !season, !episode)
+    this.commandRouter.setLastOpened(userId, { id: selected.id, type, details });
+  }
+
+  /**
+   * Send recommendations for the last opened title as a new selectable list
+   * @param {object} ctx - Movie bot context
+   */
+  async sendRecommendations(ctx) {
+    const { client, jid, userId, commandName } = ctx;
+    const opened = this.commandRouter.getLastOpened(userId);
+    if (!opened) {
+      const movie = commandName('movie');
+      await client.sendMessage(jid,
+        `❌ Open a movie or series first${movie ? ` (e.g. ${movie} Inception, then reply with a number)` : ''}.`
+      );
+      return;
+    }
+
+    const query = { type: opened.type, id: opened.id };
+    const listPage = await this.fetchList(ctx, 'recommendations', query, 1);
+
+    if (listPage.results.length === 0) {
+      await client.sendMessage(jid, `❌ No recommendations found for ${opened.details.title}.`);
+      return;
+    }
+
+    await this.sendResultList(ctx, listPage, 'recommendations', query);
+  }
+
+  /**
+   * Handle !watchlist [add [n] | remove <n> | export]
+   * @param {object} ctx - Movie bot context
+   * @param {object} command - Parsed watchlist command { action, value }
+   */
+  async handleWatchlist(ctx, command) {
+    const { account, client, jid, userId, locale, commandName } = ctx;
+    const watchlist = commandName('watchlist');
+
+    if (command.action === 'add') {
+      let title = null;
+
+      if (command.value) {
+        // Result number from the user's current list
+        const searchState = this.commandRouter.getUserSearch(userId);
+        const selected = searchState ? await this.getResultByIndex(ctx, searchState, command.value) : null;
+        const type = selected && (selected.mediaType || searchState.type);
+        if (!selected || !['movie', 'series'].includes(type)) {
+          await client.sendMessage(jid, `❌ No movie or series with number ${command.value} in your last results.`);
+          return;
+        }
+        title = { id: selected.id, type, title: selected.title, year: selected.year };
+      } else {
+        const opened = this.commandRouter.getLastOpened(userId);
+        if (!opened) {
+          await client.sendMessage(jid,
+            `❌ Open a movie or series first, or use ${watchlist} add <number> on a result list.`
+          );
+          return;
+        }
+        title = { id: opened.id, type: opened.type, title: opened.details.title, year: opened.details.year };
+      }
+
+      const result = account.watchlist.add(userId, title);
+      if (result.added) {
+        await client.sendMessage(jid, `✅ Added *${title.title}* to your watchlist (#${result.position}).`);
+      } else if (result.reason === 'duplicate') {
+        await client.sendMessage(jid, `ℹ️ *${title.title}* is already on your watchlist (#${result.position}).`);
+      } else {
+        await client.sendMessage(jid, `❌ Your watchlist is full (${WatchlistService.MAX_SIZE} titles). Remove something first.`);
+      }
+      return;
+    }
+
+    if (command.action === 'remove') {
+      const removed = command.value ? account.watchlist.remove(userId, command.value) : null;
+      await client.sendMessage(jid, removed
+        ? `🗑️ Removed *${removed.title}* from your watchlist.`
+        : `❌ Usage: ${watchlist} remove <number from ${watchlist}>`
+      );
+      return;
+    }
+
+    const list = account.watchlist.getList(userId);
+
+    if (command.action === 'export') {
+      if (list.length === 0) {
+        await client.sendMessage(jid, '📝 Your watchlist is empty.');
+        return;
+      }
+      const csv = Buffer.from(account.watchlist.exportCsv(userId));
+      await client.sendDocument(jid, csv, 'watchlist.csv', 'text/csv', `📝 Your watchlist (${list.length} title${list.length === 1 ? '' : 's'})`);
+      return;
+    }
+
+    if (command.action !== 'view') {
+      await client.sendMessage(jid,
+        `❌ Usage: ${watchlist}, ${watchlist} add [number], ${watchlist} remove <number> or ${watchlist} export`
+      );
+      return;
+    }
+
+    // Look up current availability for every entry (details are cached)
+    const streaming = await Promise.all(list.map(async entry => {
+      try {
+        const details = entry.type === 'movie'
+          ? await account.provider.getMovieDetails(entry.id, locale)
+          : await account.provider.getSeriesDetails(entry.id, locale);
+        return details.streaming;
+      } catch (error) {
+        logger.debug(`Watchlist availability lookup failed for ${entry.type} ${entry.id}: ${error.message}`);
+        return null;
+      }
+    }));
+
+    await client.sendMessage(jid, this.commandRouter.formatWatchlist(list, streaming, commandName));
+  }
+
+  /**
+   * Follow the last opened series in this chat
+   * @param {object} ctx - Movie bot context
+   */
+  async handleFollow(ctx) {
+    const { account, client, jid, locale } = ctx;
+    const series = await this.requireOpenedSeries(ctx);
+    if (!series) return;
+
+    const { title, status } = series.details;
+    if (['Ended', 'Canceled'].includes(status)) {
+      await client.sendMessage(jid, `ℹ️ ${title} has ${status.toLowerCase()}, so there are no new episodes to follow.`);
+      return;
+    }
+
+    const result = account.follows.add(jid, { id: series.id, title, lastEpisode: series.details.lastEpisode }, locale);
+    if (result.added) {
+      await client.sendMessage(jid, `🔔 Following *${title}*. New episodes will be announced here.`);
+    } else if (result.reason === 'duplicate') {
+      await client.sendMessage(jid, `ℹ️ This chat already follows *${title}*.`);
+    } else {
+      await client.sendMessage(jid, `❌ This chat follows ${FollowService.MAX_PER_CHAT} series already. Unfollow one first.`);
+    }
+  }
+
+  /**
+   * Unfollow a series by list number, or the last opened series
+   * @param {object} ctx - Movie bot context
+   * @param {number|null} position - Position from !following
+   */
+  async handleUnfollow(ctx, position) {
+    const { account, client, jid, userId, commandName } = ctx;
+    const unfollow = commandName('unfollow');
+    const following = commandName('following');
+    let removed = null;
+
+    if (position) {
+      removed = account.follows.removeAt(jid, position);
+    } else {
+      const opened = this.commandRouter.getLastOpened(userId);
+      if (opened && opened.type === 'series') {
+        removed = account.follows.removeSeries(jid, opened.id);
+      }
+    }
+
+    await client.sendMessage(jid, removed
+      ? `🔕 Unfollowed *${removed.title}*.`
+      : `❌ Usage: ${unfollow} <number${following ? ` from ${following}` : ''}>, or open a followed series and send ${unfollow}`
+    );
+  }
+
+  /**
+   * List the series this chat follows with their next episode
+   * @param {object} ctx - Movie bot context
+   */
+  async sendFollowing(ctx) {
+    const { account, client, jid, commandName } = ctx;
+    const follows = account.follows.getForChat(jid);
+
+    const nextEpisodes = await Promise.all(follows.map(async follow => {
+      try {
+        const details = await account.provider.getSeriesDetails(follow.seriesId, follow.locale);
+        return details.nextEpisode;
+      } catch (error) {
+        logger.debug(`Next episode lookup failed for series ${follow.seriesId}: ${error.message}`);
+        return null;
+      }
+    }));
+
+    await client.sendMessage(jid, this.commandRouter.formatFollowing(follows, nextEpisodes, commandName));
+  }
+
+  /**
+   * Register a release reminder for the last opened movie
+   * @param {object} ctx - Movie bot context
+   */
+  async handleRemindMe(ctx) {
+    const { account, client, jid, userId, locale, commandName } = ctx;
+    const opened = this.commandRouter.getLastOpened(userId);
+
+    if (!opened || opened.type !== 'movie') {
+      const upcoming = commandName('upcoming');
+      await client.sendMessage(jid,
+        `❌ Open an upcoming movie first${upcoming ? ` (e.g. ${upcoming}, then reply with a number)` : ''}.`
+      );
+      return;
+    }
+
+    const { title } = opened.details;
+    const releaseDate = opened.details.regionalReleaseDate || opened.details.releaseDate;
+    if (!releaseDate || releaseDate === 'N/A') {
+      await client.sendMessage(jid, `❌ ${title} has no release date yet.`);
+      return;
+    }
+
+    if (releaseDate <= this.getLocalDate(locale)) {
+      await client.sendMessage(jid, `ℹ️ ${title} is already out (${releaseDate}).`);
+      return;
+    }
+
+    const result = account.reminders.add(userId, jid, { id: opened.id, title, releaseDate }, locale);
+    if (result.added) {
+      await client.sendMessage(jid, `🔔 Reminder set! I'll post *${title}* here on ${releaseDate}.`);
+    } else if (result.reason === 'duplicate') {
+      await client.sendMessage(jid, `ℹ️ You already have a reminder for *${title}* in this chat.`);
+    } else {
+      const reminders = commandName('reminders');
+      await client.sendMessage(jid,
+        `❌ You have ${ReminderService.MAX_PER_USER} reminders already.${reminders ? ` Cancel one with ${reminders} cancel <number>.` : ''}`
+      );
+    }
+  }
+
+  /**
+   * Handle !reminders [cancel <n>]
+   * @param {object} ctx - Movie bot context
+   * @param {object} command - Parsed command { action, value }
+   */
+  async handleReminders(ctx, command) {
+    const { account, client, jid, userId, commandName } = ctx;
+    const reminders = commandName('reminders');
+
+    if (command.action === 'cancel') {
+      const cancelled = command.value ? account.reminders.cancel(userId, command.value) : null;
+      await client.sendMessage(jid, cancelled
+        ? `🗑️ Cancelled the reminder for *${cancelled.title}*.`
+        : `❌ Usage: ${reminders} cancel <number from ${reminders}>`
+      );
+      return;
+    }
+
+    if (command.action !== 'list') {
+      await client.sendMessage(jid, `❌ Usage: ${reminders} or ${reminders} cancel <number>`);
+      return;
+    }
+
+    await client.sendMessage(jid, this.commandRouter.formatReminders(account.reminders.getForUser(userId), commandName));
+  }
+
+  /**
+   * Handle !notifyavailable [watchlist number]
+   * Flags the opened title, or a watchlist entry, for a private message once
+   * it is on a subscription service in the chat's region
+   * @param {object} ctx - Movie bot context
+   * @param {number|null} position - Watchlist entry number
+   */
+  async handleNotifyAvailable(ctx, position) {
+    const { account, client, jid, userId, locale, commandName } = ctx;
+    const watchlist = commandName('watchlist');
+    let title = null;
+
+    if (position) {
+      const entry = account.watchlist.getList(userId)[position - 1];
+      if (!entry) {
+        await client.sendMessage(jid,
+          `❌ No entry ${position} on your watchlist.${watchlist ? ` Send ${watchlist} to see it.` : ''}`
+        );
+        return;
+      }
+      title = { id: entry.id, type: entry.type, title: entry.title, year: entry.year };
+    } else {
+      const opened = this.commandRouter.getLastOpened(userId);
+      if (!opened) {
+        await client.sendMessage(jid, watchlist
+          ? `❌ Open a movie or series first, or use ${commandName('notifyavailable')} <number> with an entry from ${watchlist}.`
+          : '❌ Open a movie or series first.'
+        );
+        return;
+      }
+      title = { id: opened.id, type: opened.type, title: opened.details.title, year: opened.details.year };
+    }
+
+    const details = title.type === 'movie'
+      ? await account.provider.getMovieDetails(title.id, locale)
+      : await account.provider.getSeriesDetails(title.id, locale);
+    if (details.streaming.length > 0) {
+      await client.sendMessage(jid, `ℹ️ *${title.title}* is already streaming on ${details.streaming.join(', ')}.`);
+      return;
+    }
+
+    // Group senders may be addressed by LID; deliver to their phone JID when known
+    const { key } = ctx.message;
+    const result = account.availabilityAlerts.add(userId, title, locale, key.participantPn || key.senderPn || userId);
+    if (result.added) {
+      await client.sendMessage(jid, `🔔 Got it! I'll message you privately when *${title.title}* starts streaming.`);
+    } else if (result.reason === 'duplicate') {
+      await client.sendMessage(jid, `ℹ️ You already have an alert for *${title.title}*.`);
+    } else {
+      const alerts = commandName('alerts');
+      await client.sendMessage(jid,
+        `❌ You have ${AvailabilityAlertService.MAX_PER_USER} alerts already.${alerts ? ` Cancel one with ${alerts} cancel <number>.` : ''}`
+      );
+    }
+  }
+
+  /**
+   * Handle !alerts [cancel <n>]
+   * @param {object} ctx - Movie bot context
+   * @param {object} command - Parsed command { action, value }
+   */
+  async handleAlerts(ctx, command) {
+    const { account, client, jid, userId, commandName } = ctx;
+    const alerts = commandName('alerts');
+
+    if (command.action === 'cancel') {
+      const cancelled = command.value ? account.availabilityAlerts.cancel(userId, command.value) : null;
+      await client.sendMessage(jid, cancelled
+        ? `🗑️ Cancelled the alert for *${cancelled.title}*.`
+        : `❌ Usage: ${alerts} cancel <number from ${alerts}>`
+      );
+      return;
+    }
+
+    await client.sendMessage(jid, this.commandRouter.formatAvailabilityAlerts(account.availabilityAlerts.getForUser(userId), commandName));
+  }
+
+  /**
+   * Handle !myservices [<service>, … | clear]
+   * Names are matched against the provider's services in the chat's region
+   * @param {object} ctx - Movie bot context
+   * @param {object} command - Parsed command { action, services }
+   */
+  async handleMyServices(ctx, command) {
+    const { account, client, jid, userId, locale, commandName } = ctx;
+
+    if (command.action === 'clear') {
+      await client.sendMessage(jid, account.subscriptions.clear(userId)
+        ? '🗑️ Forgot your streaming services.'
+        : `ℹ️ You haven't set any streaming services.`
+      );
+      return;
+    }
+
+    if (command.action === 'view') {
+      await client.sendMessage(jid, this.commandRouter.formatMyServices(account.subscriptions.get(userId), commandName));
+      return;
+    }
+
+    if (command.services.length > SubscriptionService.MAX_PER_USER) {
+      await client.sendMessage(jid, `❌ You can set up to ${SubscriptionService.MAX_PER_USER} services.`);
+      return;
+    }
+
+    const [movieServices, seriesServices] = await Promise.all([
+      account.provider.getStreamingServices('movie', locale),
+      account.provider.getStreamingServices('series', locale)
+    ]);
+    const available = [...movieServices, ...seriesServices];
+    const { services, unknown } = this.commandRouter.resolveServices(command.services, available);
+    const region = (locale.region || 'IN').toUpperCase();
+
+    if (services.length === 0) {
+      await client.sendMessage(jid, this.commandRouter.formatUnknownServices(unknown, available, region));
+      return;
+    }
+
+    const saved = account.subscriptions.set(userId, services);
+    let message = this.commandRouter.formatMyServices(saved, commandName);
+    if (unknown.length > 0) {
+      message += `\n\n${this.commandRouter.formatUnknownServices(unknown, available, region)}`;
+    }
+    await client.sendMessage(jid, message);
+  }
+
+  /**
+   * Handle !discover <filters>
+   * @param {object} ctx - Movie bot context
+   * @param {string} query - Filter text
+   */
+  async handleDiscover(ctx, query) {
+    const { account, client, jid, userId, locale, commandName } = ctx;
+
+    const [movieGenres, seriesGenres] = await Promise.all([
+      account.provider.getGenres('movie', locale),
+      account.provider.getGenres('series', locale)
+    ]);
+    const genres = { movie: movieGenres, series: seriesGenres };
+
+    const parsed = this.commandRouter.parseDiscoverQuery(query, genres);
+    if (!query || parsed.error) {
+      const type = parsed.error ? parsed.type : 'movie';
+      await client.sendMessage(jid, this.commandRouter.formatDiscoverHelp(genres[type], type, commandName, parsed.error));
+      return;
+    }
+
+    // on:mine becomes the IDs of the sender's services in the region
+    const filters = parsed.filters;
+    if (filters.onMine) {
+      const myServices = account.subscriptions.get(userId);
+      if (myServices.length === 0) {
+        const myservices = commandName('myservices');
+        await client.sendMessage(jid,
+          `❌ Tell me your streaming services first${myservices ? `, e.g. ${myservices} netflix, prime` : '.'}`
+        );
+        return;
+      }
+
+      const available = await account.provider.getStreamingServices(filters.type, locale);
+      filters.watchProviders = available
+        .filter(service => this.commandRouter.matchServices(myServices, [service.name]).length > 0)
+        .map(service => service.id);
+      if (filters.watchProviders.length === 0) {
+        await client.sendMessage(jid, `❌ None of your services (${myServices.join(', ')}) stream ${filters.type === 'movie' ? 'movies' : 'series'} in this region.`);
+        return;
+      }
+    }
+
+    const listPage = await this.fetchList(ctx, 'discover', filters, 1);
+
+    await this.sendResultList(ctx, listPage, 'discover', filters);
+    this.stats.moviesSearched++;
+  }
+
+  /**
+   * Handle !where <title> [region…]
+   * Without regions, compares the chat's region with the US and UK
+   * @param {object} ctx - Movie bot context
+   * @param {string} query - Title (or ID/link) followed by optional region codes
+   */
+  async handleWhere(ctx, query) {
+    const { account, client, jid, locale } = ctx;
+    const { title, regions } = this.commandRouter.parseWhereQuery(query);
+
+    // Titles may be IDs or links, as with !movie; otherwise take the best movie/series match
+    const reference = this.commandRouter.parseTitleReference(title);
+    let match = null;
+    if (reference) {
+      match = await this.resolveTitleReference(ctx, reference, 'movie').catch(() => null);
+    } else {
+      const searchPage = await this.fetchList(ctx, 'multi', title, 1);
+      const result = searchPage.results.find(r => ['movie', 'series'].includes(r.mediaType));
+      match = result ? { id: result.id, type: result.mediaType } : null;
+    }
+
+    if (!match) {
+      await client.sendMessage(jid, `❌ Couldn't find "${title}".`);
+      return;
+    }
+
+    const details = match.type === 'movie'
+      ? await account.provider.getMovieDetails(match.id, locale)
+      : await account.provider.getSeriesDetails(match.id, locale);
+
+    if (!await this.isAllowedByContentPolicy(ctx, match.type, details)) {
+      await client.sendMessage(jid, '🔞 This title is hidden by this chat\'s content settings.');
+      return;
+    }
+
+    // Same default region as the metadata providers
+    const home = (locale.region || 'IN').toUpperCase();
+    const shown = regions.length > 0 ? regions : [...new Set([home, 'US', 'GB'])];
+    const availability = await account.provider.getWatchProviders(match.type, match.id, locale);
+
+    await client.sendMessage(jid, this.commandRouter.formatWhere(details, match.type, availability, shown, account.provider.name));
+  }
+
+  /**
+   * Send the films in the last opened movie's collection as a selectable list
+   * @param {object} ctx - Movie bot context
+   */
+  async sendCollection(ctx) {
+    const { client, jid, userId, commandName } = ctx;
+    const opened = this.commandRouter.getLastOpened(userId);
+
+    if (!opened || opened.type !== 'movie' || !opened.details.collectionInfo) {
+      const movie = commandName('movie');
+      await client.sendMessage(jid, opened && opened.type === 'movie'
+        ? `❌ ${opened.details.title} isn't part of a collection.`
+        : `❌ Open a movie from a franchise first${movie ? ` (e.g. ${movie} Iron Man, then reply with a number)` : ''}.`
+      );
+      return;
+    }
+
+    const { id, name } = opened.details.collectionInfo;
+    const listPage = await this.fetchList(ctx, 'collection', id, 1);
+
+    await this.sendResultList(ctx, listPage, 'collection', id, `*${name}*`);
+  }
+
+  /**
+   * Get the series a user last opened, telling them to open one if there is none
+   * @param {object} ctx - Movie bot context
+   * @returns {Promise<object|null>} Last opened series { id, type, details }
+   */
+  async requireOpenedSeries(ctx) {
+    const opened = this.commandRouter.getLastOpened(ctx.userId);
+    if (!opened || opened.type !== 'series') {
+      const series = ctx.commandName('series');
+      await ctx.client.sendMessage(ctx.jid,
+        `❌ Open a series first${series ? ` (e.g. ${series} Dark, then reply with a number)` : ''}.`
+      );
+      return null;
+    }
+    return opened;
+  }
+
+  /**
+   * Send the episode list of a season of the last opened series
+   * @param {object} ctx - Movie bot context
+   * @param {number|null} seasonNumber - Season number
+   */
+  async sendSeason(ctx, seasonNumber) {
+    const { account, client, jid, locale, commandName } = ctx;
+    const series = await this.requireOpenedSeries(ctx);
+    if (!series) return;
+
+    const seasons = series.details.numberOfSeasons;
+    if (!seasonNumber || (seasons && seasonNumber > seasons)) {
+      await client.sendMessage(jid, seasons
+        ? `❌ ${series.details.title} has ${seasons} season${seasons === 1 ? '' : 's'}. Usage: ${commandName('season')} <1-${seasons}>`
+        : `❌ Usage: ${commandName('season')} <number>`
+      );
+      return;
+    }
+
+    const season = await account.provider.getSeasonDetails(series.id, seasonNumber, locale);
+    await client.sendMessage(jid, this.commandRouter.formatSeasonDetails(season, series.details.title, commandName));
+  }
+
+  /**
+   * Send details of one episode of the last opened series
+   * @param {object} ctx - Movie bot context
+   * @param {number|null} seasonNumber - Season number
+   * @param {number|null} episodeNumber - Episode number
+   */
+  async sendEpisode(ctx, seasonNumber, episodeNumber) {
+    const { account, client, jid, locale, commandName } = ctx;
+    const series = await this.requireOpenedSeries(ctx);
+    if (!series) return;
+
+    const seasons = series.details.numberOfSeasons;
+    if (!seasonNumber || !episodeNumber || (seasons && seasonNumber > seasons)) {
+      const episode = commandName('episode');
+      await client.sendMessage(jid, `❌ Usage: ${episode} <season>x<episode> (e.g. ${episode} 1x3)`);
+      return;
+    }
+
+    // Check against the (cached) season listing so unknown episodes don't hit the API
+    const season = await account.provider.getSeasonDetails(series.id, seasonNumber, locale);
+    if (!season.episodes.some(e => e.episodeNumber === episodeNumber)) {
+      await client.sendMessage(jid, `❌ ${series.details.title} ${season.name} has ${season.episodes.length} episodes.`);
+      return;
+    }
+
+    const episode = await account.provider.getEpisodeDetails(series.id, seasonNumber, episodeNumber, locale);
+    const caption = this.commandRouter.formatEpisodeCaption(episode, series.details.title, account.provider.name);
+    await this.sendWithImage(client, jid, account.provider, episode.still, caption);
+  }
+
+  /**
+   * Handle !movienight <title>, <title>, … | close
+   * Without arguments shows the running poll's standings
+   * @param {object} ctx - Movie bot context
+   * @param {object} command - Parsed command { action, titles }
+   */
+  async handleMovieNight(ctx, command) {
+    const { account, client, jid, userId, locale, settings, commandName } = ctx;
+    const movienight = commandName('movienight');
+    const usage = `❌ Usage: ${movienight} <title>, <title>, … (${MovieNightService.MIN_OPTIONS}-${MovieNightService.MAX_OPTIONS} movies)`;
+    const poll = account.movieNights.getForChat(jid);
+
+    if (command.action === 'status') {
+      await client.sendMessage(jid, poll
+        ? this.commandRouter.formatMovieNightStandings(account.movieNights.getStandings(poll), commandName)
+        : usage
+      );
+      return;
+    }
+
+    if (command.action === 'close') {
+      if (!poll) {
+        await client.sendMessage(jid, '❌ There is no movie night poll running in this chat.');
+      } else if (!account.movieNights.isOrganizer(poll, userId)) {
+        await client.sendMessage(jid, '❌ Only the person who started the poll can close it.');
+      } else {
+        await this.closeMovieNight(account, poll);
+      }
+      return;
+    }
+
+    if (poll) {
+      await client.sendMessage(jid, `❌ A movie night poll is already running here. Close it first with ${movienight} close.`);
+      return;
+    }
+
+    const { titles } = command;
+    if (titles.length < MovieNightService.MIN_OPTIONS || titles.length > MovieNightService.MAX_OPTIONS) {
+      await client.sendMessage(jid, usage);
+      return;
+    }
+
+    // Resolve each title to its best search match
+    const matches = await Promise.all(titles.map(async title => {
+      const searchPage = await this.fetchList(ctx, 'movie', title, 1);
+      return searchPage.results[0] || null;
+    }));
+
+    const unresolved = titles.filter((title, i) => !matches[i]);
+    if (unresolved.length > 0) {
+      await client.sendMessage(jid, `❌ Couldn't find: ${unresolved.join(', ')}`);
+      return;
+    }
+
+    // Poll options must be unique; the same movie listed twice counts once.
+    // Votes arrive by option name, so different movies sharing a title and
+    // year get their ID appended to tell them apart
+    const options = [];
+    for (const movie of matches) {
+      if (options.some(option => String(option.id) === String(movie.id))) continue;
+      let name = movie.year && movie.year !== 'N/A' ? `${movie.title} (${movie.year})` : movie.title;
+      if (options.some(option => option.name === name)) {
+        name = `${name} #${movie.id}`;
+      }
+      options.push({ name, id: movie.id, title: movie.title, year: movie.year });
+    }
+
+    if (options.length < MovieNightService.MIN_OPTIONS) {
+      await client.sendMessage(jid, `❌ Those all point to the same movie. ${usage.slice(2)}`);
+      return;
+    }
+
+    const hours = settings.movieNightHours || 24;
+    const sent = await client.sendPoll(jid, '🍿 Movie night! What are we watching?', options.map(option => option.name));
+
+    const created = account.movieNights.add({
+      pollId: sent.key.id,
+      chatJid: jid,
+      organizerJid: userId,
+      options,
+      locale,
+      closesAt: new Date(Date.now() + hours * 3600000).toISOString()
+    });
+    this.scheduleMovieNightClose(account.config.accountId, created);
+
+    await client.sendMessage(jid, `🗳️ Voting closes in ${hours} hour${hours === 1 ? '' : 's'}. Send ${movienight} to see the standings.`);
+  }
+
+  /**
+   * Store a poll tally reported by the client
+   * @param {string} accountId - Account ID
+   * @param {string} pollId - Poll message ID
+   * @param {object[]} tally - [{ name, voters }]
+   */
+  async handlePollUpdate(accountId, pollId, tally) {
+    try {
+      const account = this.accounts.get(accountId);
+      if (!account) return;
+
+      const poll = account.movieNights.recordVotes(pollId, tally);
+      if (poll) {
+        logger.debug(`[${accountId}] Movie night votes updated in ${poll.chatJid.substring(0, 15)}...`);
+      }
+    } catch (error) {
+      logger.error(`[${accountId}] Poll update handling failed`, error);
+      this.stats.errors++;
+    }
+  }
+
+  /**
+   * Close a movie night poll and announce the winner with its details caption
+   * Ties go to the title listed first
+   * @param {object} account - Account data
+   * @param {object} poll - Poll
+   */
+  async closeMovieNight(account, poll) {
+    this.cancelMovieNightClose(poll.pollId);
+    const [winner] = account.movieNights.getStandings(poll);
+    const details = await account.provider.getMovieDetails(winner.id, poll.locale);
+
+    const heading = winner.votes > 0
+      ? `🏆 *Movie night pick:* ${details.title} (${winner.votes} ${winner.votes === 1 ? 'vote' : 'votes'})`
+      : `🏆 *Movie night pick:* ${details.title} (no votes, first on the list)`;
+    const { commandPrefix, commands, captionTemplate } = account.modules.movieBot;
+    const commandName = this.commandRouter.getCommandNamer(commandPrefix, commands);
+    const detailsCaption = this.commandRouter.formatDetailsCaption(details, 'movie', commandName, {
+      template: captionTemplate,
+      source: account.provider.name
+    });
+    const caption = `${heading}\n\n${detailsCaption}`;
+
+    await this.sendWithImage(account.client, poll.chatJid, account.provider, details.poster, caption);
+    account.movieNights.remove(poll.pollId);
+    await account.client.forgetPoll(poll.pollId);
+  }
+
+  /**
+   * Arm a timer that closes a movie night poll when voting ends
+   * Unlike the background jobs this ignores busy hours: the chat chose when
+   * voting ends and is waiting for the result
+   * @param {string} accountId - Account ID
+   * @param {object} poll - Poll
+   * @param {number|null} delay - Wait before trying (ms), defaults to the time left until closesAt
+   */
+  scheduleMovieNightClose(accountId, poll, delay = null) {
+    this.cancelMovieNightClose(poll.pollId);
+
+    const wait = delay ?? Math.max(0, new Date(poll.closesAt) - Date.now());
+    const timer = setTimeout(() => {
+      this.closeDueMovieNight(accountId, poll.pollId);
+    }, Math.min(wait, MAX_TIMER_DELAY));
+    timer.unref();
+
+    this.movieNightTimers.set(poll.pollId, timer);
+  }
+
+  /**
+   * Stop a poll's close timer
+   * @param {string} pollId - Poll message ID
+   */
+  cancelMovieNightClose(pollId) {
+    clearTimeout(this.movieNightTimers.get(pollId));
+    this.movieNightTimers.delete(pollId);
+  }
+
+  /**
+   * Close a movie night poll from its timer, retrying shortly if it can't be closed yet
+   * @param {string} accountId - Account ID
+   * @param {string} pollId - Poll message ID
+   */
+  async closeDueMovieNight(accountId, pollId) {
+    this.movieNightTimers.delete(pollId);
+
+    const account = this.accounts.get(accountId);
+    const poll = account?.movieNights.getByPollId(pollId);
+    if (!poll) return; // Closed early, or the account was removed
+
+    if (new Date(poll.closesAt) > new Date()) {
+      this.scheduleMovieNightClose(accountId, poll);
+      return;
+    }
+
+    // Hold the announcement while the movie bot is paused or the client is offline
+    if (this.isPaused(accountId, 'movieBot') || !account.client.isConnected()) {
+      this.scheduleMovieNightClose(accountId, poll, MOVIE_NIGHT_RETRY_DELAY);
+      return;
+    }
+
+    try {
+      await this.closeMovieNight(account, poll);
+      logger.success(`[${accountId}] Movie night poll closed in ${poll.chatJid.substring(0, 15)}...`);
+    } catch (error) {
+      logger.error(`[${accountId}] Failed to close movie night poll ${pollId}`, error);
+      this.scheduleMovieNightClose(accountId, poll, MOVIE_NIGHT_RETRY_DELAY);
+    }
+  }
+
+  /**
+   * Handle movie bot commands
+   * @param {string} accountId - Account ID
+   * @param {object} message - Message object
+   * @param {object} client - Client instance
+   * @param {string} senderName - Sender name
+   * @param {string} groupName - Group name
+   */
+  async handleMovieBot(accountId, message, client, senderName, groupName) {
+    try {
+      const account = this.accounts.get(accountId);
+      const movieBotConfig = this.getMovieBotSettings(account.modules.movieBot, groupName);
+      const locale = this.getLocale(movieBotConfig);
+      
+      // Check if group is allowed
+      if (groupName && movieBotConfig.allowedGroups && movieBotConfig.allowedGroups.length > 0) {
+        const helpers = require('./utils/helpers');
+        if (!helpers.matchesGroupName(groupName, movieBotConfig.allowedGroups)) {
+          return; // Not in allowed group
+        }
+      }
+
+      const text = getMessageContent(message.message);
+      if (!text) return;
+
+      const command = this.commandRouter.parseCommand(text, movieBotConfig.commandPrefix, movieBotConfig.commands);
+      const userId = message.key.participant || message.key.remoteJid;
+      const ctx = {
+        account,
+        client,
+        jid: message.key.remoteJid,
+        userId,
+        locale,
+        settings: movieBotConfig,
+        // Reply hints name commands the way this chat's users type them
+        commandName: this.commandRouter.getCommandNamer(movieBotConfig.commandPrefix, movieBotConfig.commands),
+        message
+      };
+
+      // Handle selection (a number, optionally quoting a result list)
+      if (command.type === 'selection') {
+        await this.handleSelection(ctx, command.value);
+      }
+
+      // Unknown command: only answer when there is something close
+      else if (command.type === 'unknown') {
+        if (command.suggestions.length > 0) {
+          await client.sendMessage(message.key.remoteJid, 
+            this.commandRouter.formatSuggestions(command.word, command.suggestions, movieBotConfig.commandPrefix)
+          );
+        }
+      }
+
+      // Arguments don't match the command's schema
+      else if (command.type === 'invalid') {
+        await client.sendMessage(message.key.remoteJid, 
+          this.commandRouter.formatUsage(command.definition, movieBotConfig.commandPrefix)
+        );
+      }
+
+      // IMDb/TMDB/JustWatch link posted in a group without a command
+      else if (command.type === 'none') {
+        const reference = movieBotConfig.linkPreviews !== false && isGroupChat(message.key.remoteJid)
+          ? this.commandRouter.parseTitleReference(text, true)
+          : null;
+        if (!reference) return;
+
+        // Stay quiet when rate limited; nobody asked for this reply
+        if (!this.commandRouter.checkRateLimit(userId, movieBotConfig.rateLimit).allowed) return;
+
+        const title = await this.resolveTitleReference(ctx, reference, 'movie').catch(() => null);
+        if (title) {
+          // Hidden titles are skipped silently too
+          await this.openResult(ctx, { id: title.id }, title.type, true);
+        }
+      }
+
+      // Registered command
+      else if (command.type === 'command') {
+        if (command.definition.cost > 0) {
+          const rateLimit = this.commandRouter.checkRateLimit(userId, movieBotConfig.rateLimit, command.definition.cost);
+          if (!rateLimit.allowed) {
+            await client.sendMessage(message.key.remoteJid, 
+              `⏱️ Too many requests. Wait ${rateLimit.remainingTime} seconds.`
+            );
+            return;
+          }
+        }
+
+        await command.definition.handler(this, ctx, command);
+      }
+
+    } catch (error) {
+      logger.error(`[${accountId}] Movie bot processing failed`, error);
+      this.stats.errors++;
+    }
+  }
+
+  /**
+   * Check whether a private message was sent from one of the given numbers
+   * @param {object} key - Message key
+   * @param {string[]} numbers - Phone numbers in any format
+   * @returns {boolean} True if the sender's number is listed
+   */
+  isSentFrom(key, numbers) {
+    if (isGroupChat(key.remoteJid)) return false;
+
+    const digits = numbers
+      .filter(Boolean)
+      .map(number => String(number).replace(/[^0-9]/g, ''));
+
+    // Chats with hidden numbers (LIDs) carry the phone number in senderPn
+    return [key.remoteJid, key.senderPn]
+      .filter(Boolean)
+      .some(jid => digits.includes(getPhoneFromJid(jid)));
+  }
+
+  /**
+   * Check whether a message comes from an account admin
+   * Admins are the vault number and the account's `admins`, in private chats only
+   * @param {object} account - Account data
+   * @param {object} key - Message key
+   * @returns {boolean} True if the sender may use admin commands
+   */
+  isAdmin(account, key) {
+    return this.isSentFrom(key, [account.config.vaultNumber, ...(account.config.admins || [])]);
+  }
+
+  /**
+   * Check whether a message comes from the account's vault number
+   * The owner controls every account; other admins only the account they message
+   * @param {object} account - Account data
+   * @param {object} key - Message key
+   * @returns {boolean} True if the sender is the vault number
+   */
+  isOwner(account, key) {
+    return this.isSentFrom(key, [account.config.vaultNumber]);
+  }
+
+  /**
+   * Check whether a module is paused on an account
+   * @param {string} accountId - Account ID
+   * @param {string} moduleKey - Module key ('movieBot' or 'stealthLogger')
+   * @returns {boolean} True if paused with !bot pause
+   */
+  isPaused(accountId, moduleKey) {
+    return Boolean(this.pausedModules.get(accountId)?.has(moduleKey));
+  }
+
+  /**
+   * Get the modules paused on an account
+   * @param {string} accountId - Account ID
+   * @returns {string[]} Module keys
+   */
+  getPausedModules(accountId) {
+    return [...(this.pausedModules.get(accountId) || [])];
+  }
+
+  /**
+   * Handle !bot <command> admin messages in private chats
+   * Every attempt is written to the audit log; non-admins get no reply
+   * @param {string} accountId - Account ID
+   * @param {object} message - Message object
+   * @param {object} client - Client instance
+   * @returns {Promise<boolean>} True if the message was an admin command
+   */
+  async handleAdminCommand(accountId, message, client) {
+    const account = this.accounts.get(accountId);
+    const prefix = account.modules.movieBot?.commandPrefix || '!';
+    const text = getMessageContent(message.message).trim();
+    const [word = '', name = '', ...args] = text.split(/\s+/);
+
+    const { key } = message;
+    // In groups "!bot" is just a message; admins only talk to the bot privately
+    if (word.toLowerCase() !== `${prefix}bot` || isGroupChat(key.remoteJid) || key.remoteJid === 'status@broadcast') return false;
+
+    const admin = getPhoneFromJid(key.senderPn || key.participant || key.remoteJid);
+    const audit = result => this.auditLog.record({ accountId, admin, command: text, result });
+
+    if (!this.isAdmin(account, key)) {
+      logger.warn(`[${accountId}] Admin command rejected from ${admin}`);
+      await audit('denied');
+      return true;
+    }
+
+    const ctx = {
+      accountId,
+      account,
+      client,
+      jid: key.remoteJid,
+      userId: key.remoteJid,
+      // Accounts the sender may see and pause: all for the vault number, else just this one
+      accountIds: this.isOwner(account, key) ? [...this.accounts.keys()] : [accountId],
+      settings: { commandPrefix: prefix }
+    };
+    const adminPrefix = `${prefix}bot `;
+    const command = name ? this.adminRegistry.find(name) : null;
+
+    if (!command) {
+      await client.sendMessage(ctx.jid, this.commandRouter.formatAdminHelp(this.adminRegistry.getCommands(), adminPrefix));
+      await audit('help');
+      return true;
+    }
+
+    const parsed = this.adminRegistry.parseArgs(command, args.join(' '));
+    if (parsed.error) {
+      await client.sendMessage(ctx.jid, `❌ Usage: ${this.adminRegistry.formatUsage(command, adminPrefix)}`);
+      await audit('invalid');
+      return true;
+    }
+
+    try {
+      await command.handler(this, ctx, { ...parsed.values, name: command.name });
+      logger.system(`[${accountId}] Admin command: ${text}`);
+      await audit('ok');
+    } catch (error) {
+      await audit(`failed: ${error.message}`);
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Send !bot status
+   * @param {object} ctx - Admin context
+   */
+  async sendBotStatus(ctx) {
+    await ctx.client.sendMessage(ctx.jid, this.commandRouter.formatBotStatus({
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      accounts: this.getAdminAccounts(ctx),
+      sleepStatus: this.getSleepStatus(),
+      pausedModules: ctx.accountIds.flatMap(accountId =>
+        this.getPausedModules(accountId).map(moduleKey => `${moduleKey} (${accountId})`)
+      )
+    }));
+  }
+
+  /**
+   * Send !bot accounts
+   * @param {object} ctx - Admin context
+   */
+  async sendBotAccounts(ctx) {
+    const pausedModules = Object.fromEntries(ctx.accountIds.map(accountId => [accountId, this.getPausedModules(accountId)]));
+    await ctx.client.sendMessage(ctx.jid, this.commandRouter.formatBotAccounts(this.getAdminAccounts(ctx), pausedModules));
+  }
+
+  /**
+   * Get the accounts an admin command may show
+   * @param {object} ctx - Admin context
+   * @returns {object[]} From getAllAccounts(), limited to ctx.accountIds
+   */
+  getAdminAccounts(ctx) {
+    return this.getAllAccounts().filter(account => ctx.accountIds.includes(account.accountId));
+  }
+
+  /**
+   * Send !bot stats
+   * @param {object} ctx - Admin context
+   */
+  async sendBotStats(ctx) {
+    await ctx.client.sendMessage(ctx.jid, this.commandRouter.formatBotStats(this.getStats()));
+  }
+
+  /**
+   * Pause a module on the accounts the admin controls (!bot pause <module>)
+   * @param {object} ctx - Admin context
+   * @param {string} moduleName - Lowercase module name
+   */
+  async pauseModule(ctx, moduleName) {
+    const moduleKey = PAUSABLE_MODULES[moduleName];
+    for (const accountId of ctx.accountIds) {
+      if (!this.pausedModules.has(accountId)) {
+        this.pausedModules.set(accountId, new Set());
+      }
+      this.pausedModules.get(accountId).add(moduleKey);
+    }
+
+    const scope = ctx.accountIds.length === 1 ? `on ${ctx.accountIds[0]}` : 'on all accounts';
+    logger.warn(`${moduleKey} paused ${scope} by admin`);
+    await ctx.client.sendMessage(ctx.jid, `⏸️ *${moduleKey}* paused ${scope}. Send ${ctx.settings.commandPrefix}bot resume to turn it back on.`);
+  }
+
+  /**
+   * Resume one or all paused modules on the accounts the admin controls (!bot resume [module])
+   * @param {object} ctx - Admin context
+   * @param {string|null} moduleName - Lowercase module name, or null for all
+   */
+  async resumeModules(ctx, moduleName) {
+    const resumed = [];
+    for (const accountId of ctx.accountIds) {
+      const paused = this.pausedModules.get(accountId);
+      if (!paused) continue;
+
+      const moduleKeys = moduleName ? [PAUSABLE_MODULES[moduleName]] : [...paused];
+      for (const moduleKey of moduleKeys.filter(key => paused.delete(key))) {
+        resumed.push(ctx.accountIds.length === 1 ? moduleKey : `${moduleKey} (${accountId})`);
+      }
+    }
+
+    if (resumed.length > 0) {
+      logger.success(`${resumed.join(', ')} resumed by admin`);
+    }
+    await ctx.client.sendMessage(ctx.jid, resumed.length > 0
+      ? `▶️ Resumed: ${resumed.join(', ')}`
+      : 'ℹ️ Nothing was paused.'
+    );
+  }
+
+  /**
+   * Empty the TMDB cache (!bot cache clear)
+   * @param {object} ctx - Admin context
+   */
+  async clearBotCache(ctx) {
+    const removed = await this.tmdbService.clearCache();
+    await ctx.client.sendMessage(ctx.jid, `🧹 TMDB cache cleared (${removed} ${removed === 1 ? 'entry' : 'entries'}).`);
+  }
+
+  /**
+   * Handle message deletion
+   * @param {string} accountId - Account ID
+   * @param {object} deleteInfo - Delete information
+   * @param {object} client - Client instance
+   */
+  async handleMessageDelete(accountId, deleteInfo, client) {
+    try {
+      const account = this.accounts.get(accountId);
+      if (!account || !account.stealthLogger || this.isPaused(accountId, 'stealthLogger')) return;
+
+      await account.stealthLogger.handleDeletedMessage(deleteInfo, client);
+      this.stats.deletedRecovered++;
+    } catch (error) {
+      logger.error(`[${accountId}] Delete handling failed`, error);
+      this.stats.errors++;
+    }
+  }
+
+  /**
+   * Register active session/chat
+   * @param {string} jid - Chat JID
+   * @param {string} name - Chat name
+   */
+  registerSession(jid, name) {
+    if (!this.activeSessions.has(jid)) {
+      this.activeSessions.set(jid, {
+        jid,
+        name: name || jid,
+        isGroup: isGroupChat(jid),
+        firstSeen: Date.now(),
+        lastSeen: Date.now()
+      });
+    } else {
+      const session = this.activeSessions.get(jid);
+      session.lastSeen = Date.now();
+    }
+  }
+
+  /**
+   * Remove account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<void>}
+   */
+  async removeAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      logger.warn(`Account ${accountId} not found`);
+      return;
+    }
+
+    await account.client.disconnect();
+    for (const poll of account.movieNights.getAll()) {
+      this.cancelMovieNightClose(poll.pollId);
+    }
+    await account.watchlist.flush();
+    await account.reminders.flush();
+    await account.follows.flush();
+    await account.availabilityAlerts.flush();
+    await account.subscriptions.flush();
+    await account.movieNights.flush();
+    this.accounts.delete(accountId);
+    logger.success(`[${accountId}] Account removed`);
+  }
+
+  /**
+   * Get account by ID
+   * @param {string} accountId - Account ID
+   * @returns {object|null} Account data
+   */
+  getAccount(accountId) {
+    return this.accounts.get(accountId);
+  }
+
+  /**
+   * Get all accounts
+   * @returns {Array} List of accounts
+   */
+  getAllAccounts() {
+    return Array.from(this.accounts.entries()).map(([id, account]) => ({
+      accountId: id,
+      connected: account.client.isConnected(),
+      config: account.config,
+      stats: account.client.getStats()
+    }));
+  }
+
+  /**
+   * Start all accounts
+   * @returns {Promise<void>}
+   */
+  async startAll() {
+    await this.loadAccounts();
+    
+    // Start command router cleanup
+    this.commandRouter.startCleanupInterval();
+    
+    // Start reminder delivery, new episode and availability checks
+    this.startBackgroundJobs();
+    
+    // Start watching for config file changes (hot-reload new accounts)
+    this.startConfigWatcher();
+    
+    logger.success('Account Manager started');
+  }
+
+  /**
+   * Start periodic background jobs
+   */
+  startBackgroundJobs() {
+    setInterval(() => {
+      this.runBackgroundJobs();
+    }, this.backgroundJobInterval);
+    
+    logger.debug(`Background jobs started (every ${Math.round(this.backgroundJobInterval / 60000)} min)`);
+  }
+
+  /**
+   * Run background jobs once, skipping if a previous run is still going
+   * Notifications are only sent during busy hours where each chat is (see
+   * getTimeZone) so nobody is pinged at night; the rest wait for a later run
+   */
+  async runBackgroundJobs() {
+    if (this.backgroundJobsRunning) return;
+
+    this.backgroundJobsRunning = true;
+    try {
+      for (const [accountId, account] of this.accounts.entries()) {
+        if (!account.modules.movieBot?.enabled || this.isPaused(accountId, 'movieBot') || !account.client.isConnected()) continue;
+        await this.deliverReminders(accountId, account);
+        await this.checkFollowedSeries(accountId, account);
+        await this.checkAvailabilityAlerts(accountId, account);
+      }
+    } catch (error) {
+      logger.error('Background jobs failed', error);
+    } finally {
+      this.backgroundJobsRunning = false;
+    }
+  }
+
+  /**
+   * Send release reminders that are due for an account
+   * The release date is re-checked first, so postponed releases are rescheduled
+   * @param {string} accountId - Account ID
+   * @param {object} account - Account data
+   */
+  async deliverReminders(accountId, account) {
+    const { commandPrefix, commands, captionTemplate } = account.modules.movieBot;
+    const commandName = this.commandRouter.getCommandNamer(commandPrefix, commands);
+
+    for (const reminder of account.reminders.getDue(reminder => this.getLocalDate(reminder.locale))) {
+      if (!this.isWithinBusyHours(this.getTimeZone(reminder.locale))) continue;
+
+      // Release day in the chat the reminder was set in
+      const today = this.getLocalDate(reminder.locale);
+      try {
+        const details = await account.provider.getMovieDetails(reminder.movieId, reminder.locale);
+        const releaseDate = details.regionalReleaseDate || details.releaseDate;
+
+        if (releaseDate && releaseDate !== 'N/A' && releaseDate > today) {
+          account.reminders.reschedule(reminder.id, releaseDate);
+          logger.info(`[${accountId}] Reminder for ${details.title} moved to ${releaseDate}`);
+          continue;
+        }
+
+        const heading = releaseDate === today
+          ? `🔔 *Reminder:* ${details.title} releases today!`
+          : `🔔 *Reminder:* ${details.title} is out now!`;
+        const detailsCaption = this.commandRouter.formatDetailsCaption(details, 'movie', commandName, {
+          template: captionTemplate,
+          source: account.provider.name
+        });
+        const caption = `${heading}\n\n${detailsCaption}`;
+
+        await this.sendWithImage(account.client, reminder.chatJid, account.provider, details.poster, caption);
+        account.reminders.remove(reminder.id);
+        logger.success(`[${accountId}] Release reminder sent: ${details.title}`);
+      } catch (error) {
+        // Keep the reminder and try again on the next run
+        logger.error(`[${accountId}] Failed to deliver reminder for movie ${reminder.movieId}`, error);
+      }
+    }
+  }
+
+  /**
+   * Announce newly aired episodes of followed series for an account
+   * @param {string} accountId - Account ID
+   * @param {object} account - Account data
+   */
+  async checkFollowedSeries(accountId, account) {
+    for (const follow of account.follows.getAll()) {
+      if (!this.isWithinBusyHours(this.getTimeZone(follow.locale))) continue;
+
+      try {
+        const details = await account.provider.getSeriesDetails(follow.seriesId, follow.locale);
+        const today = this.getLocalDate(follow.locale);
+        const episode = account.follows.getNewEpisode(follow, [details.lastEpisode, details.nextEpisode], today);
+        if (!episode) continue;
+
+        const message = this.commandRouter.formatNewEpisode(details.title, episode, details.streaming);
+        await account.client.sendMessage(follow.chatJid, message);
+        account.follows.markNotified(follow.id, episode);
+        logger.success(`[${accountId}] New episode alert sent: ${details.title} S${episode.seasonNumber}E${episode.episodeNumber}`);
+      } catch (error) {
+        logger.error(`[${accountId}] Failed to check followed series ${follow.seriesId}`, error);
+      }
+    }
+  }
+
+  /**
+   * Message users whose alerted titles are now on a subscription service
+   * Uses the same details lookup (and cache) as the caption, so availability
+   * is refreshed as often as cached details expire
+   * @param {string} accountId - Account ID
+   * @param {object} account - Account data
+   */
+  async checkAvailabilityAlerts(accountId, account) {
+    for (const alert of account.availabilityAlerts.getAll()) {
+      if (!this.isWithinBusyHours(this.getTimeZone(alert.locale))) continue;
+
+      try {
+        // Watch providers are cached briefly, unlike details, so new offers show up within a run or two
+        const availability = await account.provider.getWatchProviders(alert.type, alert.titleId, alert.locale);
+        const streaming = availability[(alert.locale.region || 'IN').toUpperCase()]?.flatrate || [];
+        if (streaming.length === 0) continue;
+
+        const details = alert.type === 'movie'
+          ? await account.provider.getMovieDetails(alert.titleId, alert.locale)
+          : await account.provider.getSeriesDetails(alert.titleId, alert.locale);
+        await account.client.sendMessage(alert.notifyJid || alert.userJid, this.commandRouter.formatNowStreaming({ ...details, streaming }, alert.type));
+        account.availabilityAlerts.remove(alert.id);
+        logger.success(`[${accountId}] Availability alert sent: ${details.title}`);
+      } catch (error) {
+        // Keep the alert and try again on the next run
+        logger.error(`[${accountId}] Failed to check availability of ${alert.type} ${alert.titleId}`, error);
+      }
+    }
+  }
+
+  /**
+   * Start watching config file for new accounts
+   * This enables adding accounts without restarting the bot
+   */
+  startConfigWatcher() {
+    try {
+      // Debounce timer to avoid multiple rapid reloads
+      let debounceTimer = null;
+      const DEBOUNCE_DELAY = 2000; // 2 seconds
+
+      this.configWatcher = fs.watch(this.configPath, (eventType) => {
+        if (eventType === 'change') {
+          // Clear existing timer
+          if (debounceTimer) {
+            clearTimeout(debounceTimer);
+          }
+          
+          // Set new debounced timer
+          debounceTimer = setTimeout(async () => {
+            logger.info('📁 Config file changed, checking for new accounts...');
+            await this.checkForNewAccounts();
+          }, DEBOUNCE_DELAY);
+        }
+      });
+
+      logger.info('👁️ Watching for config changes (hot-reload enabled)');
+    } catch (error) {
+      logger.warn('Could not start config watcher:', error.message);
+    }
+  }
+
+  /**
+   * Stop watching config file
+   */
+  stopConfigWatcher() {
+    if (this.configWatcher) {
+      this.configWatcher.close();
+      this.configWatcher = null;
+    }
+  }
+
+  /**
+   * Check for new accounts in config and load them dynamically
+   * @returns {Promise<void>}
+   */
+  async checkForNewAccounts() {
+    try {
+      let config;
       try {
         config = await fs.readJSON(this.configPath);
       } catch (parseError) {
@@ -706,6 +2432,15 @@ class AccountManager {
     
     for (const [accountId, account] of this.accounts.entries()) {
       await account.client.disconnect();
+      for (const poll of account.movieNights.getAll()) {
+        this.cancelMovieNightClose(poll.pollId);
+      }
+      await account.watchlist.flush();
+      await account.reminders.flush();
+      await account.follows.flush();
+      await account.availabilityAlerts.flush();
+      await account.subscriptions.flush();
+      await account.movieNights.flush();
     }
     
     this.accounts.clear();
@@ -723,7 +2458,7 @@ class AccountManager {
       activeSessions: this.activeSessions.size,
       sleepStatus: this.getSleepStatus(),
       cacheStats: {
-        tmdbCache: this.tmdbService.cache.size,
+        tmdbCache: this.tmdbService.getStats(),
         userSearches: this.commandRouter.userSearches.size,
         rateLimits: this.commandRouter.rateLimits.size
       }
@@ -1,5 +1,14 @@
 const makeWASocket = require('@whiskeysockets/baileys').default;
-const { useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion, downloadMediaMessage, proto } = require('@whiskeysockets/baileys');
+const {
+  useMultiFileAuthState,
+  DisconnectReason,
+  fetchLatestBaileysVersion,
+  downloadMediaMessage,
+  proto,
+  BufferJSON,
+  getAggregateVotesInPollMessage,
+  updateMessageWithPollUpdate
+} = require('@whiskeysockets/baileys');
 const qrcode = require('qrcode-terminal');
 const fs = require('fs-extra');
 const path = require('path');
@@ -45,7 +54,38 @@ class BaileysClient {
     this.messageQueue = [];
     this.processing = false;
     
+    // Polls we sent, by message ID. Votes arrive encrypted and can only be
+    // decrypted with the original poll message, so these survive restarts.
+    this.pollsPath = path.join(this.sessionPath, 'polls.json');
+    this.polls = new Map();
+    
     fs.ensureDirSync(this.sessionPath);
+    this.loadPolls();
+  }
+
+  /**
+   * Load sent polls from disk
+   */
+  loadPolls() {
+    try {
+      if (fs.pathExistsSync(this.pollsPath)) {
+        const saved = JSON.parse(fs.readFileSync(this.pollsPath, 'utf8'), BufferJSON.reviver);
+        this.polls = new Map(saved);
+      }
+    } catch (error) {
+      logger.warn(`[${this.accountId}] Could not load saved polls: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save sent polls to disk
+   */
+  async savePolls() {
+    try {
+      await fs.writeFile(this.pollsPath, JSON.stringify(Array.from(this.polls.entries()), BufferJSON.replacer));
+    } catch (error) {
+      logger.error(`[${this.accountId}] Failed to save polls`, error);
+    }
   }
 
   /**
@@ -74,7 +114,9 @@ class BaileysClient {
         defaultQueryTimeoutMs: undefined,
         // Retry decryption failures (helps with multi-account session conflicts)
         retryRequestDelayMs: RETRY_DELAY_MS,
-        maxMsgRetryCount: MAX_MSG_RETRY_COUNT
+        maxMsgRetryCount: MAX_MSG_RETRY_COUNT,
+        // Baileys needs the original poll message to decrypt votes
+        getMessage: async (key) => this.polls.get(key.id)?.message
       });
 
       // Store credentials on update
@@ -204,6 +246,12 @@ class BaileysClient {
    */
   async handleMessageUpdates(updates) {
     for (const update of updates) {
+      // Poll votes (decrypted by Baileys through getMessage)
+      if (update.update?.pollUpdates) {
+        await this.handlePollUpdates(update.key, update.update.pollUpdates);
+        continue;
+      }
+      
       // Check if message was deleted (REVOKE = 1)
       if (update.update?.messageStubType === WAMessageStubType.REVOKE) {
         logger.info(`[${this.accountId}] Message deleted: ${update.key.id}`);
@@ -215,6 +263,29 @@ class BaileysClient {
     }
   }
 
+  /**
+   * Apply poll votes and report the current tally
+   * @param {object} key - Poll message key
+   * @param {object[]} pollUpdates - Decrypted poll updates
+   */
+  async handlePollUpdates(key, pollUpdates) {
+    const poll = this.polls.get(key.id);
+    if (!poll) return;
+
+    for (const pollUpdate of pollUpdates) {
+      updateMessageWithPollUpdate(poll, pollUpdate);
+    }
+    await this.savePolls();
+
+    // [{ name, voters: [jid] }] - a changed vote replaces the voter's earlier one
+    const tally = getAggregateVotesInPollMessage(poll, this.sock?.user?.id);
+    logger.debug(`[${this.accountId}] Poll ${key.id} updated`);
+
+    if (this.onPollUpdate) {
+      await this.onPollUpdate(key.id, tally, this);
+    }
+  }
+
   /**
    * Download media from message
    * @param {object} message - Message with media
@@ -298,6 +369,80 @@ class BaileysClient {
     }
   }
 
+  /**
+   * Send a native WhatsApp poll (single choice)
+   * Votes are reported through the onPollUpdated handler
+   * @param {string} jid - Recipient JID
+   * @param {string} name - Poll question
+   * @param {string[]} options - Poll options (2-12, unique)
+   * @returns {Promise<object>} Sent message info
+   */
+  async sendPoll(jid, name, options) {
+    if (!this.connected || !this.sock) {
+      throw new Error('Not connected to WhatsApp');
+    }
+
+    try {
+      // Random delay before sending
+      const delay = getRandomDelay();
+      await sleep(delay);
+
+      const result = await this.sock.sendMessage(jid, {
+        poll: { name, values: options, selectableCount: 1 }
+      });
+
+      this.polls.set(result.key.id, result);
+      await this.savePolls();
+
+      logger.debug(`[${this.accountId}] Poll sent to ${jid.substring(0, 15)}...`);
+      return result;
+    } catch (error) {
+      logger.error(`[${this.accountId}] Send poll failed`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop tracking a poll (once it has been closed)
+   * @param {string} pollId - Poll message ID
+   */
+  async forgetPoll(pollId) {
+    if (this.polls.delete(pollId)) {
+      await this.savePolls();
+    }
+  }
+
+  /**
+   * Send a file as a document message
+   * @param {string} jid - Recipient JID
+   * @param {Buffer} buffer - File contents
+   * @param {string} fileName - File name shown to the recipient
+   * @param {string} mimetype - MIME type (e.g. text/csv)
+   * @param {string} caption - Optional caption
+   * @returns {Promise<object>} Sent message info
+   */
+  async sendDocument(jid, buffer, fileName, mimetype, caption = '') {
+    if (!this.connected || !this.sock) {
+      throw new Error('Not connected to WhatsApp');
+    }
+
+    try {
+      // Random delay before sending
+      const delay = getRandomDelay();
+      await sleep(delay);
+
+      const message = { document: buffer, fileName, mimetype };
+      if (caption) message.caption = caption;
+
+      const result = await this.sock.sendMessage(jid, message);
+      logger.debug(`[${this.accountId}] Document ${fileName} sent to ${jid.substring(0, 15)}...`);
+      return result;
+    } catch (error) {
+      logger.error(`[${this.accountId}] Send document failed`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get contact name
    * @param {string} jid - Contact JID
@@ -350,6 +495,14 @@ class BaileysClient {
     this.onMessageDelete = handler;
   }
 
+  /**
+   * Register poll vote handler
+   * @param {Function} handler - Called with (pollId, tally, client)
+   */
+  onPollUpdated(handler) {
+    this.onPollUpdate = handler;
+  }
+
   /**
    * Disconnect from WhatsApp
    */
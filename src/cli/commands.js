@@ -38,6 +38,11 @@ async function showStats() {
     console.log(`  Active Accounts: ${chalk.cyan(stats.activeAccounts)}`);
     console.log(`  Active Sessions: ${chalk.cyan(stats.activeSessions)}`);
     
+    const tmdbCache = stats.cacheStats?.tmdbCache;
+    if (tmdbCache) {
+      console.log(`  TMDB Cache: ${chalk.cyan(tmdbCache.entries)} entries, ${chalk.cyan(Math.round(tmdbCache.hitRatio * 100) + '%')} hit ratio`);
+    }
+    
     console.log(chalk.gray('─'.repeat(50) + '\n'));
   } catch (error) {
     console.log(chalk.red('\n❌ Could not fetch stats. Is the bot running?\n'));
@@ -254,6 +259,7 @@ async function factoryReset() {
     'sessions',
     'temp_storage',
     'logs',
+    'data',
     'config/accounts.json'
   ];
 
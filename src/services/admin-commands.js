@@ -0,0 +1,59 @@
+/**
+ * Owner admin command definitions (see CommandRegistry for the format)
+ *
+ * Sent as `!bot <command>` in a private chat from the account's vaultNumber
+ * or one of its `admins`. The vault number controls every account, admins
+ * only the account they message (`accountIds` in the context). Handlers
+ * receive the AccountManager, the admin context ({ accountId, account,
+ * client, jid, userId, accountIds, settings }) and the parsed command.
+ */
+
+// Module names accepted by pause/resume, by lowercase spelling
+const MODULE_ALIASES = {
+  movies: 'moviebot',
+  movie: 'moviebot',
+  stealth: 'stealthlogger',
+  logger: 'stealthlogger'
+};
+
+module.exports = [
+  {
+    name: 'status',
+    description: 'Uptime, connections, sleep state and paused modules',
+    examples: ['status'],
+    handler: (bot, ctx) => bot.sendBotStatus(ctx)
+  },
+  {
+    name: 'accounts',
+    description: 'Accounts you control with their connection and modules',
+    examples: ['accounts'],
+    handler: (bot, ctx) => bot.sendBotAccounts(ctx)
+  },
+  {
+    name: 'stats',
+    description: 'Message, capture and cache counters',
+    examples: ['stats'],
+    handler: (bot, ctx) => bot.sendBotStats(ctx)
+  },
+  {
+    name: 'pause',
+    args: [{ name: 'module', type: 'choice', choices: ['moviebot', 'stealthlogger'], aliases: MODULE_ALIASES, required: true, label: 'movieBot|stealthLogger' }],
+    description: 'Pause a module until resumed (every account for the vault number)',
+    examples: ['pause movieBot', 'pause stealthLogger'],
+    handler: (bot, ctx, command) => bot.pauseModule(ctx, command.module)
+  },
+  {
+    name: 'resume',
+    args: [{ name: 'module', type: 'choice', choices: ['moviebot', 'stealthlogger'], aliases: MODULE_ALIASES, label: 'movieBot|stealthLogger' }],
+    description: 'Resume a paused module (all of them without a name)',
+    examples: ['resume', 'resume movieBot'],
+    handler: (bot, ctx, command) => bot.resumeModules(ctx, command.module)
+  },
+  {
+    name: 'cache',
+    args: [{ name: 'action', type: 'choice', choices: ['clear'], required: true, usage: 'clear' }],
+    description: 'Empty the TMDB cache',
+    examples: ['cache clear'],
+    handler: (bot, ctx) => bot.clearBotCache(ctx)
+  }
+];
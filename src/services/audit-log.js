@@ -0,0 +1,34 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Append-only audit trail of admin commands
+ *
+ * One JSON object per line in LOGS_PATH/admin-audit.log, including rejected
+ * attempts from numbers that aren't admins.
+ */
+class AuditLog {
+  constructor() {
+    const logsPath = process.env.LOGS_PATH || './logs';
+    this.filePath = path.join(logsPath, 'admin-audit.log');
+    fs.ensureDirSync(logsPath);
+  }
+
+  /**
+   * Record an admin action
+   * @param {object} entry - { accountId, admin, command, result }
+   * @returns {Promise<void>}
+   */
+  async record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+
+    try {
+      await fs.appendFile(this.filePath, line + '\n');
+    } catch (error) {
+      logger.error('Failed to write admin audit log', error);
+    }
+  }
+}
+
+module.exports = AuditLog;
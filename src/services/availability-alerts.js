@@ -0,0 +1,112 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+const { sanitizeJid, generateId } = require('../utils/helpers');
+
+// Pending alerts a single user may hold
+const MAX_ALERTS_PER_USER = 20;
+
+/**
+ * Streaming-availability alerts for one account
+ *
+ * Each alert remembers who asked (sanitized sender JID, used to look alerts
+ * up), where to send the alert (the sender's phone JID when WhatsApp
+ * provides it, since sanitizing an @lid JID doesn't yield a phone number) and
+ * the locale whose region is checked for subscription providers.
+ * Stored in DATA_PATH/availability-alerts/<accountId>.json.
+ */
+class AvailabilityAlertService {
+  constructor(accountId) {
+    this.accountId = accountId;
+    const dataPath = process.env.DATA_PATH || './data';
+    this.store = new JsonStore(path.join(dataPath, 'availability-alerts', `${accountId}.json`), { alerts: [] });
+  }
+
+  /**
+   * Get every pending alert
+   * @returns {object[]} Alerts
+   */
+  getAll() {
+    return [...this.store.data.alerts];
+  }
+
+  /**
+   * Get a user's pending alerts, oldest first
+   * @param {string} jid - User JID (any device/domain form)
+   * @returns {object[]} Alerts
+   */
+  getForUser(jid) {
+    const userJid = sanitizeJid(jid);
+    return this.store.data.alerts.filter(alert => alert.userJid === userJid);
+  }
+
+  /**
+   * Register an alert
+   * @param {string} jid - Requesting user's JID
+   * @param {object} title - { id, type, title, year }
+   * @param {object} locale - Locale options whose region is checked
+   * @param {string} notifyJid - JID the alert is delivered to (defaults to jid)
+   * @returns {object} { added, reason }
+   */
+  add(jid, title, locale, notifyJid = jid) {
+    const userJid = sanitizeJid(jid);
+    const existing = this.getForUser(userJid);
+
+    if (existing.some(alert => alert.type === title.type && String(alert.titleId) === String(title.id))) {
+      return { added: false, reason: 'duplicate' };
+    }
+
+    if (existing.length >= MAX_ALERTS_PER_USER) {
+      return { added: false, reason: 'full' };
+    }
+
+    this.store.data.alerts.push({
+      id: generateId(),
+      userJid,
+      notifyJid,
+      titleId: title.id,
+      type: title.type,
+      title: title.title,
+      year: title.year,
+      locale,
+      createdAt: new Date().toISOString()
+    });
+    this.store.save();
+
+    return { added: true, reason: null };
+  }
+
+  /**
+   * Cancel an alert by its 1-based position in the user's list
+   * @param {string} jid - User JID
+   * @param {number} position - Position shown by !alerts
+   * @returns {object|null} Cancelled alert
+   */
+  cancel(jid, position) {
+    const alert = this.getForUser(jid)[position - 1];
+    if (!alert) return null;
+
+    this.remove(alert.id);
+    return alert;
+  }
+
+  /**
+   * Remove an alert (sent or cancelled)
+   * @param {string} id - Alert ID
+   */
+  remove(id) {
+    this.store.data.alerts = this.store.data.alerts.filter(alert => alert.id !== id);
+    this.store.save();
+  }
+
+  /**
+   * Write pending changes to disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.store.flush();
+  }
+}
+
+AvailabilityAlertService.MAX_PER_USER = MAX_ALERTS_PER_USER;
+
+module.exports = AvailabilityAlertService;
@@ -0,0 +1,271 @@
+const logger = require('../utils/logger');
+
+// Unknown commands within this edit distance get "did you mean" suggestions
+const MAX_SUGGESTION_DISTANCE = 2;
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Declarative command registry
+ *
+ * Each definition declares:
+ * - `name` and `aliases`: what users type after the prefix
+ * - `args`: argument schema, in order. Each entry has a `name` (the field it
+ *   is stored under on the parsed command) and a `type`:
+ *   `text` (rest of the message), `number` (positive integer) or
+ *   `choice` (one of `choices`, with an optional `default` and an `aliases`
+ *   map of extra words, e.g. `{ rm: 'remove' }`). `required`
+ *   arguments must be present; a `label` replaces the name in usage text
+ *   and `usage` replaces the whole bracketed placeholder.
+ * - `parse`: optional function (argsText) => fields, for arguments the
+ *   schema can't express. The schema is then only used for usage text.
+ * - `description` and `examples` (without prefix) for help and usage replies
+ * - `cost`: rate-limit cost (0 = not rate limited)
+ * - `handler`: async (bot, ctx, command) => void
+ *
+ * Accounts can disable or rename commands with an overrides object keyed by
+ * the command's original name:
+ * `{ "discover": false, "series": { "name": "show", "aliases": ["sh"] } }`
+ */
+class CommandRegistry {
+  /**
+   * @param {object[]} definitions - Command definitions
+   */
+  constructor(definitions) {
+    this.definitions = definitions.map(definition => ({
+      aliases: [],
+      args: [],
+      examples: [],
+      cost: 1,
+      ...definition,
+      id: definition.name
+    }));
+
+    // Resolved command sets, by overrides object
+    this.resolved = new WeakMap();
+    this.defaultSet = null;
+  }
+
+  /**
+   * Apply per-account overrides to the definitions
+   * @param {object} overrides - Overrides keyed by original command name
+   * @returns {object} { commands, triggers, retired, byId } - Enabled commands, a Map of trigger word
+   *   to command, the words of disabled or renamed commands and a Map of original name to command
+   */
+  resolve(overrides) {
+    if (!overrides) {
+      this.defaultSet = this.defaultSet || this.buildSet({});
+      return this.defaultSet;
+    }
+
+    if (!this.resolved.has(overrides)) {
+      this.resolved.set(overrides, this.buildSet(overrides));
+    }
+    return this.resolved.get(overrides);
+  }
+
+  /**
+   * Build the command set for one overrides object
+   * @param {object} overrides - Overrides keyed by original command name
+   * @returns {object} { commands, triggers, retired, byId }
+   */
+  buildSet(overrides) {
+    const commands = [];
+    const triggers = new Map();
+    const retired = new Set();
+    const byId = new Map();
+
+    for (const definition of this.definitions) {
+      const override = overrides[definition.id];
+      // Words the account turned off are ignored rather than answered with suggestions
+      for (const word of [definition.name, ...definition.aliases]) {
+        retired.add(word);
+      }
+      if (override === false || override?.enabled === false) continue;
+
+      const name = (override?.name || definition.name).toLowerCase();
+      const aliases = (override?.aliases || definition.aliases).map(alias => alias.toLowerCase());
+      const command = {
+        ...definition,
+        name,
+        aliases,
+        // Examples start with the command word; keep them valid after a rename
+        examples: definition.examples.map(example => {
+          const [word, ...rest] = example.split(' ');
+          return word === name || aliases.includes(word) ? example : [name, ...rest].join(' ');
+        })
+      };
+      commands.push(command);
+      byId.set(command.id, command);
+
+      for (const trigger of [command.name, ...command.aliases]) {
+        if (triggers.has(trigger)) {
+          logger.warn(`Command "${trigger}" is used by both ${triggers.get(trigger).id} and ${command.id}, keeping ${triggers.get(trigger).id}`);
+          continue;
+        }
+        triggers.set(trigger, command);
+      }
+    }
+
+    for (const trigger of triggers.keys()) {
+      retired.delete(trigger);
+    }
+
+    return { commands, triggers, retired, byId };
+  }
+
+  /**
+   * Get the enabled commands
+   * @param {object} overrides - Per-account overrides
+   * @returns {object[]} Commands in definition order
+   */
+  getCommands(overrides) {
+    return this.resolve(overrides).commands;
+  }
+
+  /**
+   * Find a command by name or alias
+   * @param {string} word - Word typed after the prefix
+   * @param {object} overrides - Per-account overrides
+   * @returns {object|null} Command
+   */
+  find(word, overrides) {
+    return this.resolve(overrides).triggers.get(word.toLowerCase()) || null;
+  }
+
+  /**
+   * Get the word an account uses for a command
+   * @param {string} id - Original command name
+   * @param {object} overrides - Per-account overrides
+   * @returns {string|null} Command name, or null if the account disabled it
+   */
+  getName(id, overrides) {
+    return this.resolve(overrides).byId.get(id)?.name || null;
+  }
+
+  /**
+   * Check whether a word belongs to a disabled or renamed command
+   * @param {string} word - Word typed after the prefix
+   * @param {object} overrides - Per-account overrides
+   * @returns {boolean} True if the account turned the word off
+   */
+  isRetired(word, overrides) {
+    return this.resolve(overrides).retired.has(word.toLowerCase());
+  }
+
+  /**
+   * Suggest commands close to an unknown word
+   * @param {string} word - Unknown command word
+   * @param {object} overrides - Per-account overrides
+   * @returns {string[]} Command names, closest first
+   */
+  suggest(word, overrides) {
+    const input = word.toLowerCase();
+    const best = new Map();
+
+    for (const [trigger, command] of this.resolve(overrides).triggers.entries()) {
+      const distance = editDistance(input, trigger);
+      // Short words would match almost anything
+      if (distance > Math.min(MAX_SUGGESTION_DISTANCE, Math.floor((trigger.length - 1) / 2))) continue;
+      if (!best.has(command.name) || distance < best.get(command.name)) {
+        best.set(command.name, distance);
+      }
+    }
+
+    return [...best.entries()]
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, MAX_SUGGESTIONS)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Parse a command's arguments
+   * @param {object} command - Command
+   * @param {string} argsText - Text after the command word
+   * @returns {object} { values } or { error } when the arguments don't fit the schema
+   */
+  parseArgs(command, argsText) {
+    if (command.parse) {
+      return { values: command.parse(argsText) };
+    }
+
+    const values = {};
+    let rest = argsText.trim();
+
+    for (const arg of command.args) {
+      if (arg.type === 'text') {
+        if (arg.required && !rest) return { error: 'missing' };
+        values[arg.name] = rest;
+        rest = '';
+        continue;
+      }
+
+      const [token = ''] = rest.split(/\s+/);
+      const lower = arg.aliases?.[token.toLowerCase()] || token.toLowerCase();
+      let value = null;
+
+      if (arg.type === 'number' && /^\d+$/.test(token) && parseInt(token) > 0) {
+        value = parseInt(token);
+      } else if (arg.type === 'choice' && arg.choices.includes(lower)) {
+        value = lower;
+      } else if (arg.type === 'choice' && token) {
+        // A word that isn't one of the choices is a mistake, not a missing argument
+        return { error: 'invalid' };
+      }
+
+      if (value === null) {
+        if (arg.required) return { error: 'missing' };
+        values[arg.name] = arg.default ?? null;
+        continue;
+      }
+
+      values[arg.name] = value;
+      rest = rest.slice(token.length).trim();
+    }
+
+    return { values };
+  }
+
+  /**
+   * Format a command's usage line
+   * @param {object} command - Command
+   * @param {string} prefix - Command prefix
+   * @returns {string} e.g. "!watchlist [view|add|remove|export] [number]"
+   */
+  formatUsage(command, prefix = '!') {
+    const args = command.args.map(arg => {
+      if (arg.usage) return arg.usage;
+      const label = arg.label || (arg.type === 'choice' ? arg.choices.join('|') : arg.name);
+      return arg.required ? `<${label}>` : `[${label}]`;
+    });
+
+    return [`${prefix}${command.name}`, ...args].join(' ');
+  }
+}
+
+CommandRegistry.editDistance = editDistance;
+
+module.exports = CommandRegistry;
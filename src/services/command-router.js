@@ -1,9 +1,172 @@
 const logger = require('../utils/logger');
-const { getMessageContent } = require('../utils/helpers');
+const { getMessageContent, formatUptime, formatBytes, maskPhoneNumber } = require('../utils/helpers');
+
+// Emoji tag per result type
+const MEDIA_EMOJI = {
+  movie: '🎬',
+  series: '📺',
+  person: '👤',
+  multi: '🔎',
+  filmography: '🎞️',
+  trending: '🔥',
+  popular: '🍿',
+  now_playing: '🎟️',
+  upcoming: '🗓️',
+  recommendations: '✨',
+  collection: '🌌',
+  discover: '🧭'
+};
+
+// Heading and "no results" wording per search type
+const RESULT_LABELS = {
+  movie: 'Movies',
+  series: 'Series',
+  person: 'People',
+  multi: 'Results',
+  filmography: 'Titles',
+  trending: 'Trending',
+  popular: 'Popular Movies',
+  now_playing: 'Now Playing',
+  upcoming: 'Upcoming Movies',
+  recommendations: 'Recommendations',
+  collection: 'Films',
+  discover: 'Matches'
+};
+
+// Mixed lists tag each entry with its own media type
+const MIXED_TYPES = ['multi', 'filmography', 'trending'];
+
+// !discover sort tokens
+const DISCOVER_SORTS = ['popular', 'rating', 'newest', 'oldest'];
+
+// !discover type tokens
+const DISCOVER_TYPES = {
+  movie: 'movie',
+  movies: 'movie',
+  tv: 'series',
+  series: 'series'
+};
+
+// Links that identify a title (matched anywhere in a message)
+const IMDB_LINK = /\bimdb\.com\/(?:[a-z]{2}\/)?title\/(tt\d{7,})/i;
+const TMDB_LINK = /\bthemoviedb\.org\/(movie|tv)\/(\d+)/i;
+const JUSTWATCH_LINK = /\bjustwatch\.com\/[a-z]{2}\/(movie|film|tv-show|tv-series|serie|series)\/([a-z0-9-]+)/i;
+
+// Watch offer types in display order, with their labels
+const OFFER_LABELS = {
+  flatrate: '📺 Stream',
+  free: '🆓 Free',
+  ads: '📢 Free with ads',
+  rent: '💵 Rent',
+  buy: '🛒 Buy'
+};
+
+// !where compares at most this many regions
+const MAX_WHERE_REGIONS = 8;
+
+// Region names for !where ("UK" is accepted for GB)
+const REGION_NAMES = new Intl.DisplayNames(['en'], { type: 'region' });
+
+// Short names for services whose provider name doesn't contain them (normalized)
+const SERVICE_ALIASES = {
+  amazon: 'amazonprimevideo',
+  amazonprime: 'amazonprimevideo'
+};
+
+// Services listed when !myservices doesn't recognise a name
+const MAX_SUGGESTED_SERVICES = 12;
+
+// Bare IDs accepted as a whole !movie/!series query
+const IMDB_ID = /^tt\d{7,}$/i;
+const TMDB_ID = /^tmdb:(\d+)$/i;
+
+/**
+ * Command names as shipped, for formatters called without an account's lookup
+ * @param {string} id - Original command name
+ * @returns {string} Command with the default prefix
+ */
+function defaultCommandName(id) {
+  return `!${id}`;
+}
+
+/**
+ * Normalize a genre name or token for matching ("Science Fiction" -> "sci-fi")
+ * @param {string} text - Genre name or user token
+ * @returns {string} Normalized key
+ */
+function normalizeGenre(text) {
+  const key = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return ['scifi', 'science-fiction'].includes(key) ? 'sci-fi' : key;
+}
+
+/**
+ * Get the tokens a genre answers to
+ * Combined TV genres ("Action & Adventure") also match each half
+ * @param {string} name - Genre name
+ * @returns {string[]} Normalized keys, full name first
+ */
+function genreKeys(name) {
+  return [normalizeGenre(name), ...name.split('&').map(normalizeGenre)];
+}
+
+/**
+ * Normalize a streaming service name for matching ("Disney+ Hotstar" -> "disneyplushotstar")
+ * @param {string} name - Service name or user text
+ * @returns {string} Normalized key
+ */
+function normalizeService(name) {
+  const key = name.toLowerCase().replace(/\+/g, 'plus').replace(/[^a-z0-9]+/g, '');
+  return SERVICE_ALIASES[key] || key;
+}
+
+/**
+ * Format watch offers as one line per offer type
+ * @param {object} offers - Provider names by offer type { flatrate, free, ads, rent, buy }
+ * @returns {string[]} Lines such as "💵 Rent: Apple TV, Google Play"
+ */
+function formatOffers(offers) {
+  return Object.entries(OFFER_LABELS)
+    .filter(([type]) => offers[type] && offers[type].length > 0)
+    .map(([type, label]) => `${label}: ${offers[type].join(', ')}`);
+}
+
+/**
+ * Check whether a token is an ISO 3166-1 region code
+ * @param {string} code - Uppercase two-letter token
+ * @returns {boolean} True for known regions
+ */
+function isRegionCode(code) {
+  return /^[A-Z]{2}$/.test(code) && code !== 'ZZ' && REGION_NAMES.of(code) !== code;
+}
+
+/**
+ * Get a region's flag emoji
+ * @param {string} code - ISO 3166-1 region code
+ * @returns {string} Flag emoji
+ */
+function regionFlag(code) {
+  return String.fromCodePoint(...code.split('').map(char => 0x1F1E6 - 65 + char.charCodeAt()));
+}
+
+/**
+ * Format a season/episode pair as 2x05
+ * @param {number} seasonNumber - Season number
+ * @param {number} episodeNumber - Episode number
+ * @returns {string} Episode code
+ */
+function episodeCode(seasonNumber, episodeNumber) {
+  return `${seasonNumber}x${String(episodeNumber).padStart(2, '0')}`;
+}
 
 class CommandRouter {
-  constructor() {
+  /**
+   * @param {CommandRegistry} registry - Commands this router understands
+   */
+  constructor(registry) {
+    this.registry = registry;
     this.userSearches = new Map(); // Store user search states
+    this.lastOpened = new Map(); // Last title each user opened, for follow-up commands
+    this.messageSearches = new Map(); // Result lists by sent message ID, for quoted selections
     this.rateLimits = new Map(); // Store rate limit data per user
   }
 
@@ -11,25 +174,31 @@ class CommandRouter {
    * Check rate limit for user
    * @param {string} userId - User ID
    * @param {object} config - Rate limit configuration
+   * @param {number} cost - Requests this command counts as
    * @returns {object} Rate limit status
    */
-  checkRateLimit(userId, config) {
+  checkRateLimit(userId, config, cost = 1) {
     const now = Date.now();
     const userLimit = this.rateLimits.get(userId) || { requests: [], resetTime: now + config.windowMs };
     
     // Remove old requests outside the window
     userLimit.requests = userLimit.requests.filter(time => now - time < config.windowMs);
     
-    if (userLimit.requests.length >= config.maxRequests) {
-      const oldestRequest = userLimit.requests[0];
-      const remainingTime = Math.ceil((oldestRequest + config.windowMs - now) / 1000);
+    // A command costing more than the whole budget still runs once the window is empty
+    const needed = Math.min(cost, config.maxRequests);
+    const excess = userLimit.requests.length + needed - config.maxRequests;
+    if (excess > 0) {
+      const blockingRequest = userLimit.requests[excess - 1];
+      const remainingTime = Math.ceil((blockingRequest + config.windowMs - now) / 1000);
       return {
         allowed: false,
         remainingTime
       };
     }
     
-    userLimit.requests.push(now);
+    for (let i = 0; i < cost; i++) {
+      userLimit.requests.push(now);
+    }
     this.rateLimits.set(userId, userLimit);
     
     return { allowed: true };
@@ -52,7 +221,7 @@ class CommandRouter {
       if (search && Date.now() - search.timestamp > 600000) {
         this.userSearches.delete(userId);
       }
-    }, 600000);
+    }, 600000).unref();
   }
 
   /**
@@ -73,17 +242,80 @@ class CommandRouter {
     return search;
   }
 
+  /**
+   * Attach a result list to the message it was sent in
+   * @param {string} messageId - Sent message ID
+   * @param {object} searchData - Search results and type
+   */
+  setMessageSearch(messageId, searchData) {
+    this.messageSearches.set(messageId, {
+      ...searchData,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Get the result list sent in a message
+   * @param {string} messageId - Quoted message ID
+   * @returns {object|null} Search state
+   */
+  getMessageSearch(messageId) {
+    const search = this.messageSearches.get(messageId);
+    if (!search) return null;
+    
+    // Lists can be quoted for an hour (longer than a user's own search)
+    if (Date.now() - search.timestamp > 3600000) {
+      this.messageSearches.delete(messageId);
+      return null;
+    }
+    
+    return search;
+  }
+
+  /**
+   * Remember the title a user last opened
+   * @param {string} userId - User ID
+   * @param {object} title - { id, type, details }
+   */
+  setLastOpened(userId, title) {
+    this.lastOpened.set(userId, {
+      ...title,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Get the title a user last opened
+   * @param {string} userId - User ID
+   * @returns {object|null} { id, type, details, timestamp }
+   */
+  getLastOpened(userId) {
+    const opened = this.lastOpened.get(userId);
+    if (!opened) return null;
+
+    // Follow-up commands stay valid for an hour
+    if (Date.now() - opened.timestamp > 3600000) {
+      this.lastOpened.delete(userId);
+      return null;
+    }
+
+    return opened;
+  }
+
   /**
    * Parse command from message
    * @param {string} message - Message text
    * @param {string} prefix - Command prefix
-   * @returns {object} Parsed command
+   * @param {object} overrides - Per-account command overrides (movieBot.commands)
+   * @returns {object} Parsed command:
+   *   { type: 'selection', value }, { type: 'command', name, definition, ...args },
+   *   { type: 'invalid', definition }, { type: 'unknown', word, suggestions } or { type: 'none' }
    */
-  parseCommand(message, prefix = '!') {
+  parseCommand(message, prefix = '!', overrides = null) {
     const text = message.trim();
     
-    // Check for number selection (1-5)
-    if (/^[1-5]$/.test(text)) {
+    // Check for number selection (numbering continues across result pages)
+    if (/^[1-9]\d{0,3}$/.test(text)) {
       return {
         type: 'selection',
         value: parseInt(text)
@@ -93,49 +325,563 @@ class CommandRouter {
     // Check for commands
     if (text.startsWith(prefix)) {
       const parts = text.slice(prefix.length).split(' ');
-      const command = parts[0].toLowerCase();
+      const word = parts[0].toLowerCase();
       const args = parts.slice(1).join(' ').trim();
       
-      // Movie commands
-      if (['movie', 'm'].includes(command)) {
-        return {
-          type: 'movie_search',
-          query: args
-        };
+      if (!word) {
+        return { type: 'none' };
       }
       
-      // Series commands
-      if (['series', 's', 'tv'].includes(command)) {
+      const definition = this.registry.find(word, overrides);
+      if (!definition && this.registry.isRetired(word, overrides)) {
+        return { type: 'none' };
+      }
+      if (!definition) {
         return {
-          type: 'series_search',
-          query: args
+          type: 'unknown',
+          word,
+          suggestions: this.registry.suggest(word, overrides)
         };
       }
+      
+      const parsed = this.registry.parseArgs(definition, args);
+      if (parsed.error) {
+        return { type: 'invalid', definition };
+      }
+      
+      return {
+        ...parsed.values,
+        type: 'command',
+        name: definition.name,
+        definition
+      };
     }
     
     return { type: 'none' };
   }
 
+  /**
+   * Recognise a reference to a specific title instead of a search query
+   * Links are found anywhere in the text; bare IDs (tt1375666, tmdb:27205)
+   * only when they are the whole text, so titles like "1917" still search
+   * @param {string} text - Query or message text
+   * @param {boolean} linksOnly - Ignore bare IDs (for messages without a command)
+   * @returns {object|null} { source: 'imdb', id }, { source: 'tmdb', id, type } (type null for
+   *   bare IDs) or { source: 'justwatch', type, title, year }, or null if there is none
+   */
+  parseTitleReference(text, linksOnly = false) {
+    const query = text.trim();
+
+    const imdb = query.match(IMDB_LINK) || (!linksOnly && query.match(IMDB_ID) && [null, query]);
+    if (imdb) {
+      return { source: 'imdb', id: imdb[1].toLowerCase() };
+    }
+
+    const tmdb = query.match(TMDB_LINK);
+    if (tmdb) {
+      return { source: 'tmdb', id: parseInt(tmdb[2]), type: tmdb[1].toLowerCase() === 'tv' ? 'series' : 'movie' };
+    }
+
+    const tmdbId = !linksOnly && query.match(TMDB_ID);
+    if (tmdbId) {
+      return { source: 'tmdb', id: parseInt(tmdbId[1]), type: null };
+    }
+
+    // JustWatch links carry no ID, only a slug such as "dune-2021"
+    const justWatch = query.match(JUSTWATCH_LINK);
+    if (justWatch) {
+      const slug = justWatch[2].toLowerCase().match(/^(.+?)(?:-(\d{4}))?$/);
+      return {
+        source: 'justwatch',
+        type: ['movie', 'film'].includes(justWatch[1].toLowerCase()) ? 'movie' : 'series',
+        title: slug[1].replace(/-/g, ' '),
+        year: slug[2] || null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse !where arguments: a title followed by optional region codes
+   * Regions must be uppercase (US GB IN) so titles like "Dr. No" stay intact;
+   * the first word always belongs to the title
+   * @param {string} query - Text after !where
+   * @returns {object} { title, regions } with regions deduplicated, in the order given
+   */
+  parseWhereQuery(query) {
+    const tokens = query.trim().split(/\s+/);
+    const regions = [];
+
+    while (tokens.length > 1) {
+      const token = tokens[tokens.length - 1];
+      const code = token === 'UK' ? 'GB' : token;
+      if (!isRegionCode(code)) break;
+      regions.unshift(code);
+      tokens.pop();
+    }
+
+    return { title: tokens.join(' '), regions: [...new Set(regions)].slice(0, MAX_WHERE_REGIONS) };
+  }
+
+  /**
+   * Format !where availability across regions
+   * @param {object} details - Movie/Series details
+   * @param {string} type - 'movie' or 'series'
+   * @param {object} availability - Offers by region code (see MetadataProvider.getWatchProviders)
+   * @param {string[]} regions - Regions to show, in order
+   * @param {string} source - Metadata provider name for the footer credit
+   * @returns {string} Formatted message
+   */
+  formatWhere(details, type, availability, regions, source = null) {
+    const emoji = type === 'movie' ? '🎬' : '📺';
+    const year = details.year && details.year !== 'N/A' ? ` (${details.year})` : '';
+    let message = `📍 *Where to watch ${emoji} ${details.title}${year}*\n\n`;
+
+    for (const region of regions) {
+      const offers = formatOffers(availability[region] || {});
+      message += `${regionFlag(region)} *${REGION_NAMES.of(region)}*\n`;
+      message += offers.length > 0
+        ? offers.map(line => `   ${line}`).join('\n')
+        : `   ❌ Not available`;
+      message += `\n\n`;
+    }
+
+    if (source) {
+      message += `_Powered by ${source}_`;
+    }
+    return message.trimEnd();
+  }
+
+  /**
+   * Match the services a user typed to the provider's services
+   * An exact name wins; otherwise the shortest name containing the text,
+   * so "prime" picks "Amazon Prime Video" over its "with Ads" variant
+   * @param {string[]} names - Service names as typed
+   * @param {object[]} available - Provider services { id, name }
+   * @returns {object} { services: provider names, unknown: names without a match }
+   */
+  resolveServices(names, available) {
+    const services = [];
+    const unknown = [];
+
+    for (const name of names) {
+      const key = normalizeService(name);
+      const exact = key && available.find(service => normalizeService(service.name) === key);
+      const partial = key && available
+        .filter(service => normalizeService(service.name).includes(key))
+        .sort((a, b) => a.name.length - b.name.length)[0];
+      const match = exact || partial;
+
+      if (!match) unknown.push(name);
+      else if (!services.includes(match.name)) services.push(match.name);
+    }
+
+    return { services, unknown };
+  }
+
+  /**
+   * Find the providers that belong to a user's services
+   * Variants count as the same service ("Netflix basic with Ads" for "Netflix")
+   * @param {string[]} myServices - User's service names
+   * @param {string[]} providerNames - Provider names, e.g. details.streaming
+   * @returns {string[]} Matching provider names
+   */
+  matchServices(myServices, providerNames) {
+    const keys = myServices.map(normalizeService);
+    return providerNames.filter(name => keys.some(key => normalizeService(name).includes(key)));
+  }
+
+  /**
+   * Format a user's streaming services
+   * @param {string[]} services - Service names
+   * @param {Function} commandName - Command name lookup (see getCommandNamer)
+   * @returns {string} Formatted message
+   */
+  formatMyServices(services, commandName = defaultCommandName) {
+    const myservices = commandName('myservices');
+
+    if (services.length === 0) {
+      let message = `📺 You haven't told me your streaming services yet.`;
+      if (myservices) {
+        message += `\n\nSend ${myservices} netflix, prime, hotstar and search results will show where you can watch.`;
+      }
+      return message;
+    }
+
+    let message = `📺 *Your streaming services (${services.length}):*\n`;
+    message += services.map(service => `• ${service}`).join('\n');
+    message += `\n\nTitles on these are marked ✅ in results and details.`;
+    if (myservices) {
+      message += ` Send ${myservices} <service>, <service> to change them or ${myservices} clear to remove them.`;
+    }
+    return message;
+  }
+
+  /**
+   * Format the reply for services that weren't recognised
+   * @param {string[]} unknown - Names as typed
+   * @param {object[]} available - Provider services { id, name }, most prominent first
+   * @param {string} region - Region code the services were looked up in
+   * @returns {string} Formatted message
+   */
+  formatUnknownServices(unknown, available, region) {
+    const names = Array.from(new Set(available.map(service => service.name))).slice(0, MAX_SUGGESTED_SERVICES);
+    let message = `❌ Unknown service${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`;
+    if (names.length > 0) {
+      message += `\n\nServices in ${REGION_NAMES.of(region)} include: ${names.join(', ')}`;
+    }
+    return message;
+  }
+
+  /**
+   * Build a lookup from original command names to what an account's users type
+   * Reply hints go through it, so renamed commands are shown under their new
+   * name and hints for disabled commands can be left out
+   * @param {string} prefix - Command prefix
+   * @param {object} overrides - Per-account command overrides
+   * @returns {Function} (id) => command with prefix, e.g. "!watchlist", or null if disabled
+   */
+  getCommandNamer(prefix = '!', overrides = null) {
+    return id => {
+      const name = this.registry.getName(id, overrides);
+      return name ? `${prefix}${name}` : null;
+    };
+  }
+
+  /**
+   * Format the usage reply for a command whose arguments didn't parse
+   * @param {object} definition - Command definition
+   * @param {string} prefix - Command prefix
+   * @returns {string} Formatted message
+   */
+  formatUsage(definition, prefix = '!') {
+    let message = `❌ Usage: ${this.registry.formatUsage(definition, prefix)}`;
+    
+    if (definition.examples.length > 0) {
+      message += `\nExample: ${prefix}${definition.examples[0]}`;
+    }
+    
+    return message;
+  }
+
+  /**
+   * Format the command list for !help, grouped by category
+   * @param {object[]} commands - Enabled commands
+   * @param {string} prefix - Command prefix
+   * @param {Function} commandName - Command name lookup (see getCommandNamer)
+   * @returns {string} Formatted message
+   */
+  formatHelp(commands, prefix = '!', commandName = defaultCommandName) {
+    let message = `📖 *Movie Bot Commands*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+    
+    const categories = [...new Set(commands.map(command => command.category))];
+    categories.forEach(category => {
+      message += `\n*${category}*\n`;
+      commands
+        .filter(command => command.category === category)
+        .forEach(command => {
+          message += `${this.registry.formatUsage(command, prefix)} — ${command.description}\n`;
+        });
+    });
+    
+    message += `\n🔢 Reply with a number to open a result (quote someone's list to pick from it).`;
+    const help = commandName('help');
+    if (help) {
+      message += `\n💡 Send ${help} <command> for examples.`;
+    }
+    
+    return message;
+  }
+
+  /**
+   * Format usage and examples of one command for !help <command>
+   * @param {object} command - Command
+   * @param {string} prefix - Command prefix
+   * @returns {string} Formatted message
+   */
+  formatCommandHelp(command, prefix = '!') {
+    let message = `📖 *${prefix}${command.name}*`;
+    if (command.aliases.length > 0) {
+      message += ` (also ${command.aliases.map(alias => `${prefix}${alias}`).join(', ')})`;
+    }
+    message += `\n${command.description}\n\n`;
+    message += `*Usage:* ${this.registry.formatUsage(command, prefix)}\n`;
+    
+    if (command.examples.length > 0) {
+      message += `\n*Examples:*\n`;
+      command.examples.forEach(example => {
+        message += `${prefix}${example}\n`;
+      });
+    }
+    
+    return message.trim();
+  }
+
+  /**
+   * Format the admin command list for !bot
+   * @param {object[]} commands - Admin commands
+   * @param {string} prefix - Admin command prefix (e.g. "!bot ")
+   * @returns {string} Formatted message
+   */
+  formatAdminHelp(commands, prefix = '!bot ') {
+    let message = `🛠️ *Admin Commands*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    
+    commands.forEach(command => {
+      message += `${this.registry.formatUsage(command, prefix)} — ${command.description}\n`;
+    });
+    
+    return message.trim();
+  }
+
+  /**
+   * Format !bot status
+   * @param {object} status - { uptime, memory, accounts, sleepStatus, pausedModules }
+   * @returns {string} Formatted message
+   */
+  formatBotStatus(status) {
+    const connected = status.accounts.filter(account => account.connected).length;
+    
+    let message = `🤖 *Bot Status*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    message += `⏱️ *Uptime:* ${formatUptime(status.uptime)}\n`;
+    message += `💾 *Memory:* ${formatBytes(status.memory.rss)}\n`;
+    message += `📱 *Accounts:* ${connected}/${status.accounts.length} connected\n`;
+    message += `😴 *Sleep:* ${status.sleepStatus.isSleeping ? 'Sleeping' : 'Awake'}`;
+    message += status.sleepStatus.isWithinBusyHours ? ' (busy hours)\n' : ' (quiet hours)\n';
+    message += `⏸️ *Paused:* ${status.pausedModules.length > 0 ? status.pausedModules.join(', ') : 'Nothing'}`;
+    
+    return message;
+  }
+
+  /**
+   * Format !bot accounts
+   * @param {object[]} accounts - From AccountManager.getAllAccounts()
+   * @param {object} pausedModules - Paused module names by account ID
+   * @returns {string} Formatted message
+   */
+  formatBotAccounts(accounts, pausedModules) {
+    if (accounts.length === 0) {
+      return '📱 No accounts loaded.';
+    }
+    
+    let message = `📱 *Accounts (${accounts.length}):*\n\n`;
+    
+    accounts.forEach(account => {
+      const modules = Object.entries(account.config.modules || {})
+        .filter(([, moduleConfig]) => moduleConfig?.enabled)
+        .map(([name]) => (pausedModules[account.accountId] || []).includes(name) ? `${name} (paused)` : name);
+      
+      message += `${account.connected ? '🟢' : '🔴'} *${account.accountId}*`;
+      message += account.config.description ? ` — ${account.config.description}\n` : '\n';
+      message += `📞 ${maskPhoneNumber(account.stats.phone)} | 📨 Queue: ${account.stats.queueSize}\n`;
+      message += `🧩 ${modules.length > 0 ? modules.join(', ') : 'No modules enabled'}\n\n`;
+    });
+    
+    return message.trim();
+  }
+
+  /**
+   * Format !bot stats
+   * @param {object} stats - From AccountManager.getStats()
+   * @returns {string} Formatted message
+   */
+  formatBotStats(stats) {
+    const tmdb = stats.cacheStats.tmdbCache;
+    
+    let message = `📊 *Bot Stats*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    message += `📨 *Messages:* ${stats.messagesProcessed}\n`;
+    message += `✏️ *Edited:* ${stats.messagesEdited}\n`;
+    message += `🎬 *Searches:* ${stats.moviesSearched}\n`;
+    message += `🗑️ *Deleted Recovered:* ${stats.deletedRecovered}\n`;
+    message += `📸 *View Once:* ${stats.viewOnceCaptured}\n`;
+    message += `📱 *Status:* ${stats.statusCaptured}\n`;
+    message += `⚠️ *Errors:* ${stats.errors}\n\n`;
+    message += `🗄️ *TMDB Cache:* ${tmdb.entries} entries, ${formatBytes(tmdb.bytes)}, ${Math.round(tmdb.hitRatio * 100)}% hits\n`;
+    message += `🔎 *Active Searches:* ${stats.cacheStats.userSearches}`;
+    
+    return message;
+  }
+
+  /**
+   * Format "did you mean" suggestions for an unknown command
+   * @param {string} word - Unknown command word
+   * @param {string[]} suggestions - Suggested command names
+   * @param {string} prefix - Command prefix
+   * @returns {string} Formatted message
+   */
+  formatSuggestions(word, suggestions, prefix = '!') {
+    const names = suggestions.map(name => `${prefix}${name}`);
+    return `❓ Unknown command ${prefix}${word}. Did you mean ${names.join(' or ')}?`;
+  }
+
+  /**
+   * Parse !discover filters
+   * e.g. "horror 2019-2023 rating>7 lang:ko sort:popular"
+   * @param {string} query - Filter text
+   * @param {object} genres - Genre lists { movie: [{ id, name }], series: [{ id, name }] }
+   * @returns {object} { filters } or { error, type } when a token is invalid
+   */
+  parseDiscoverQuery(query, genres) {
+    const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const type = DISCOVER_TYPES[tokens.find(token => DISCOVER_TYPES[token])] || 'movie';
+    const maxYear = new Date().getFullYear() + 5;
+    const filters = {
+      type,
+      genres: [],
+      yearFrom: null,
+      yearTo: null,
+      minRating: null,
+      maxRating: null,
+      language: null,
+      sort: 'popular',
+      onMine: false
+    };
+
+    for (const token of tokens) {
+      if (DISCOVER_TYPES[token]) continue;
+
+      // Years: 2019 or 2019-2023
+      const years = token.match(/^(\d{4})(?:-(\d{4}))?$/);
+      if (years) {
+        const from = parseInt(years[1]);
+        const to = years[2] ? parseInt(years[2]) : from;
+        if (from < 1870 || to > maxYear || from > to) {
+          return { error: `Invalid year range "${token}"`, type };
+        }
+        filters.yearFrom = from;
+        filters.yearTo = to;
+        continue;
+      }
+
+      // Ratings: rating>7, rating>=7, rating<5
+      const rating = token.match(/^rating(>=?|<=?)(\d+(?:\.\d+)?)$/);
+      if (rating) {
+        const value = parseFloat(rating[2]);
+        if (value > 10) {
+          return { error: `Ratings go from 0 to 10 ("${token}")`, type };
+        }
+        if (rating[1].startsWith('>')) filters.minRating = value;
+        else filters.maxRating = value;
+        continue;
+      }
+
+      const [key, value] = token.split(':');
+      if (key === 'lang' && /^[a-z]{2}$/.test(value || '')) {
+        filters.language = value;
+        continue;
+      }
+
+      if (key === 'sort' && DISCOVER_SORTS.includes(value)) {
+        filters.sort = value;
+        continue;
+      }
+
+      if (token === 'on:mine') {
+        filters.onMine = true;
+        continue;
+      }
+
+      const genre = genres[type].find(g => genreKeys(g.name).includes(normalizeGenre(token)));
+      if (genre) {
+        if (!filters.genres.includes(genre.id)) filters.genres.push(genre.id);
+        continue;
+      }
+
+      return { error: `Unknown filter "${token}"`, type };
+    }
+
+    return { filters };
+  }
+
+  /**
+   * Format the list of valid !discover tokens
+   * @param {object[]} genres - Genres for the requested type
+   * @param {string} type - 'movie' or 'series'
+   * @param {Function} commandName - Command name lookup (see getCommandNamer)
+   * @param {string} error - Optional error to show first
+   * @returns {string} Formatted message
+   */
+  formatDiscoverHelp(genres, type, commandName = defaultCommandName, error = null) {
+    const myservices = commandName('myservices');
+    let message = error ? `❌ ${error}\n\n` : '';
+    
+    message += `🧭 *Discover filters:*\n\n`;
+    message += `• *Type:* movie (default), tv\n`;
+    message += `• *${type === 'series' ? 'TV' : 'Movie'} genres:* ${genres.map(g => genreKeys(g.name)[0]).join(', ')}\n`;
+    message += `• *Years:* 2019 or 2019-2023\n`;
+    message += `• *Rating:* rating>7, rating<5\n`;
+    message += `• *Language:* lang:ko (2-letter code)\n`;
+    message += `• *Sort:* ${DISCOVER_SORTS.map(sort => `sort:${sort}`).join(', ')}\n`;
+    if (myservices) {
+      message += `• *Streaming:* on:mine (your ${myservices})\n`;
+    }
+    message += `\nExample: ${commandName('discover')} horror 2019-2023 rating>7 lang:ko sort:popular`;
+    
+    return message;
+  }
+
   /**
    * Format search results message
    * @param {object[]} results - Search results
-   * @param {string} type - 'movie' or 'series'
+   * @param {string} type - Search or list type (key of RESULT_LABELS)
+   * @param {object} pagination - Optional { page, totalPages, totalResults, commandName }
    * @returns {string} Formatted message
    */
-  formatSearchResults(results, type) {
+  formatSearchResults(results, type, pagination = null) {
+    const label = RESULT_LABELS[type];
+    
     if (!results || results.length === 0) {
-      return `❌ No ${type}s found. Try a different search term.`;
+      return `❌ No ${label.toLowerCase()} found. Try a different search term.`;
     }
     
-    const emoji = type === 'movie' ? '🎬' : '📺';
-    let message = `${emoji} *Top ${results.length} ${type === 'movie' ? 'Movies' : 'Series'}:*\n\n`;
+    const emoji = MEDIA_EMOJI[type];
+    const first = results[0].index;
+    const last = results[results.length - 1].index;
+    const paged = pagination && pagination.totalPages > 1;
+    
+    let message = paged
+      ? `${emoji} *${label} ${first}-${last} of ${pagination.totalResults}:*\n\n`
+      : `${emoji} *Top ${results.length} ${label}:*\n\n`;
     
     results.forEach(item => {
-      message += `*${item.index}.* ${item.title} (${item.year})\n`;
-      message += `⭐ Rating: ${item.rating}/10\n\n`;
+      const tag = MIXED_TYPES.includes(type) ? `${MEDIA_EMOJI[item.mediaType]} ` : '';
+      const name = item.title || item.name;
+      
+      if (item.mediaType === 'person' || type === 'person') {
+        message += `*${item.index}.* ${tag}${name}\n`;
+        message += `🎭 ${item.department}\n\n`;
+      } else {
+        message += `*${item.index}.* ${tag}${name} (${item.year})\n`;
+        message += `⭐ Rating: ${item.rating}/10`;
+        if (item.role) {
+          message += ` | 🎭 ${item.role}`;
+        }
+        if (type === 'upcoming' && item.releaseDate) {
+          message += ` | 📅 ${item.releaseDate}`;
+        }
+        if (item.onMyServices && item.onMyServices.length > 0) {
+          message += `\n✅ On ${item.onMyServices.join(', ')}`;
+        }
+        message += `\n\n`;
+      }
     });
     
-    message += `Reply with a number (1-${results.length}) to get full details.`;
+    message += `Reply with a number (${first}-${last}) to get full details.`;
+    
+    if (paged) {
+      const commandName = pagination.commandName || defaultCommandName;
+      const hints = [];
+      if (pagination.page < pagination.totalPages) hints.push(commandName('more'));
+      if (pagination.page > 1) hints.push(commandName('prev'));
+      const available = hints.filter(Boolean);
+      if (available.length > 0) {
+        message += `\nSend ${available.join(' or ')} for other results.`;
+      }
+    }
     
     return message;
   }
@@ -166,9 +912,16 @@ class CommandRouter {
    * Format detailed information as caption for poster
    * @param {object} details - Movie/Series details
    * @param {string} type - 'movie' or 'series'
+   * @param {Function} commandName - Command name lookup for hints (see getCommandNamer)
+   * @param {object} options - Optional { myServices, template, source }
+   * @param {string[]} options.myServices - Reader's !myservices, to mark the ones streaming it
+   * @param {object} options.template - movieBot.captionTemplate; sections set to false are left out
+   * @param {string} options.source - Metadata provider name for the footer credit
    * @returns {string} Formatted caption
    */
-  formatDetailsCaption(details, type) {
+  formatDetailsCaption(details, type, commandName = defaultCommandName, options = {}) {
+    const { myServices = null, template = {}, source = null } = options;
+    const show = section => template[section] !== false;
     const emoji = type === 'movie' ? '🎬' : '📺';
     let caption = '';
     
@@ -189,6 +942,11 @@ class CommandRouter {
     // Rating
     caption += `⭐ *Rating:* ${details.rating}/10\n`;
     
+    // Age rating in the configured region
+    if (details.certification) {
+      caption += `🏷️ *Certificate:* ${details.certification}\n`;
+    }
+    
     // For series, add season/episode info
     if (type === 'series') {
       if (details.numberOfSeasons) {
@@ -201,6 +959,10 @@ class CommandRouter {
       if (details.status && details.status !== 'N/A') {
         caption += `📊 *Status:* ${details.status}\n`;
       }
+      if (details.nextEpisode && details.nextEpisode.airDate) {
+        const next = details.nextEpisode;
+        caption += `⏭️ *Next Episode:* ${episodeCode(next.seasonNumber, next.episodeNumber)} on ${next.airDate}\n`;
+      }
     } else if (type === 'movie' && details.runtime) {
       caption += `⏱️ *Runtime:* ${details.runtime} min\n`;
     }
@@ -208,39 +970,74 @@ class CommandRouter {
     caption += `\n`;
     
     // Story/Description
-    caption += `📖 *Story:*\n${details.description}\n\n`;
+    if (show('story')) {
+      caption += `📖 *Story:*\n${details.description}\n\n`;
+    }
     
     // Collection/Universe info
     if (details.collectionInfo) {
-      caption += `🌌 *Part of:* ${details.collectionInfo.name}\n\n`;
+      caption += `🌌 *Part of:* ${details.collectionInfo.name}\n`;
+      if (commandName('collection')) {
+        caption += `   Send ${commandName('collection')} to browse it\n`;
+      }
+      caption += `\n`;
+    }
+    
+    // Crew, one line each: directors (creators for series), writers, music
+    const crew = [];
+    const makers = type === 'movie' ? details.directors : details.creators;
+    if (show('directors') && makers && makers.length > 0) {
+      const label = type === 'movie' ? `Director${makers.length > 1 ? 's' : ''}` : 'Created by';
+      crew.push(`🎬 *${label}:* ${makers.join(', ')}`);
+    }
+    if (show('writers') && details.writers && details.writers.length > 0) {
+      crew.push(`✍️ *Writer${details.writers.length > 1 ? 's' : ''}:* ${details.writers.join(', ')}`);
+    }
+    if (show('composer') && details.composers && details.composers.length > 0) {
+      crew.push(`🎼 *Music:* ${details.composers.join(', ')}`);
+    }
+    if (crew.length > 0) {
+      caption += `${crew.join('\n')}\n\n`;
     }
     
-    // Top 5 actors displayed vertically
-    if (details.cast && details.cast.length > 0) {
+    // Top 5 actors displayed vertically, with their characters when known
+    const cast = details.castCredits || (details.cast || []).map(name => ({ name, character: null }));
+    if (show('cast') && cast.length > 0) {
       caption += `👥 *Cast:*\n`;
-      caption += details.cast.map((actor, i) => `   ${i + 1}. ${actor}`).join('\n');
+      caption += cast
+        .map((actor, i) => `   ${i + 1}. ${actor.character && show('characters') ? `${actor.name} as ${actor.character}` : actor.name}`)
+        .join('\n');
       caption += `\n\n`;
     }
     
     // Trailer
-    if (details.trailer) {
+    if (show('trailer') && details.trailer) {
       caption += `🎥 *Trailer:*\n${details.trailer}\n\n`;
     }
     
-    // Streaming platforms
-    if (details.streaming && details.streaming.length > 0) {
-      caption += `📺 *Available on:*\n`;
-      details.streaming.forEach(platform => {
-        caption += `   • ${platform}\n`;
-      });
-      caption += `\n`;
-    } else {
-      caption += `📺 *Streaming:* Not available on major platforms\n\n`;
-    }
-    
-    // JustWatch link (where users can find streaming options)
-    if (details.justWatchLink && details.streaming && details.streaming.length > 0) {
-      caption += `🔗 *Find on JustWatch:*\n${details.justWatchLink}\n\n`;
+    // Watch options grouped by offer type (stream, free, rent, buy)
+    const offers = formatOffers(details.providers || { flatrate: details.streaming || [] });
+    if (show('whereToWatch')) {
+      if (offers.length > 0) {
+        caption += `📺 *Where to watch:*\n`;
+        if (myServices && myServices.length > 0) {
+          const mine = this.matchServices(myServices, details.streaming || []);
+          caption += mine.length > 0
+            ? `   ✅ On your services: ${mine.join(', ')}\n`
+            : `   ➖ Not on your services\n`;
+        }
+        offers.forEach(line => {
+          caption += `   ${line}\n`;
+        });
+        caption += `\n`;
+      } else {
+        caption += `📺 *Streaming:* Not available on major platforms\n\n`;
+      }
+      
+      // JustWatch link (where users can find streaming options)
+      if (details.justWatchLink && offers.length > 0) {
+        caption += `🔗 *Find on JustWatch:*\n${details.justWatchLink}\n\n`;
+      }
     }
     
     // IMDb link
@@ -248,10 +1045,332 @@ class CommandRouter {
       caption += `⭐ *IMDb:* ${details.imdbLink}\n`;
     }
     
-    caption += `\n━━━━━━━━━━━━━━━━━━━━\n`;
-    caption += `_Powered by TMDB_`;
+    const footer = [];
+    if (commandName('similar')) {
+      footer.push(`💡 Send ${commandName('similar')} for more like this`);
+    }
+    if (source) {
+      footer.push(`_Powered by ${source}_`);
+    }
+    if (footer.length > 0) {
+      caption += `\n━━━━━━━━━━━━━━━━━━━━\n${footer.join('\n')}`;
+    }
+    
+    return caption.trimEnd();
+  }
+
+  /**
+   * Format person profile as caption for profile photo
+   * @param {object} person - Person details
+   * @param {string} source - Metadata provider name for the footer credit
+   * @returns {string} Formatted caption
+   */
+  formatPersonCaption(person, source = null) {
+    let caption = '';
+    
+    caption += `👤 *${person.name}*\n`;
+    caption += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    
+    caption += `🎭 *Department:* ${person.department}\n`;
+    
+    if (person.birthday) {
+      caption += `📅 *Born:* ${person.birthday}`;
+      if (person.placeOfBirth) {
+        caption += ` in ${person.placeOfBirth}`;
+      }
+      caption += `\n`;
+    }
+    
+    if (person.deathday) {
+      caption += `🕊️ *Died:* ${person.deathday}\n`;
+    }
+    
+    caption += `\n`;
+    
+    // Biographies can be very long; keep the caption readable
+    const biography = person.biography.length > 700
+      ? `${person.biography.slice(0, 700).trim()}…`
+      : person.biography;
+    caption += `📖 *Biography:*\n${biography}\n\n`;
+    
+    if (person.knownFor && person.knownFor.length > 0) {
+      caption += `🌟 *Known for:*\n`;
+      caption += person.knownFor.map(title => `   • ${title}`).join('\n');
+      caption += `\n\n`;
+    }
+    
+    if (person.imdbLink) {
+      caption += `⭐ *IMDb:* ${person.imdbLink}\n`;
+    }
     
-    return caption;
+    if (source) {
+      caption += `\n━━━━━━━━━━━━━━━━━━━━\n`;
+      caption += `_Powered by ${source}_`;
+    }
+    
+    return caption.trimEnd();
+  }
+
+  /**
+   * Format a user's watchlist with current streaming availability
+   * @param {object[]} list - Watchlist entries
+   * @param {Array<string[]|null>} streaming - Providers per entry (null if the lookup failed)
+   * @param {Function} commandName - Command name lookup (see getCommandNamer)
+   * @returns {string} Formatted message
+   */
+  formatWatchlist(list, streaming, commandName = defaultCommandName) {
+    const watchlist = commandName('watchlist');
+
+    if (list.length === 0) {
+      return watchlist
+        ? `📝 Your watchlist is empty.\n\nOpen a movie or series and send ${watchlist} add to save it.`
+        : `📝 Your watchlist is empty.`;
+    }
+    
+    let message = `📝 *Your Watchlist (${list.length}):*\n\n`;
+    
+    list.forEach((entry, i) => {
+      message += `*${i + 1}.* ${MEDIA_EMOJI[entry.type]} ${entry.title} (${entry.year})\n`;
+      if (!streaming[i]) {
+        message += `📺 Availability unknown\n\n`;
+      } else if (streaming[i].length > 0) {
+        message += `📺 ${streaming[i].join(', ')}\n\n`;
+      } else {
+        message += `📺 Not streaming right now\n\n`;
+      }
+    });
+    
+    if (watchlist) {
+      message += `Send ${watchlist} remove <number> to remove a title or ${watchlist} export to download the list.`;
+    }
+    
+    return message.trimEnd();
+  }
+
+  /**
+   * Format the series a chat follows
+   * @param {object[]} follows - Follows
+   * @param {Array<object|null>} nextEpisodes - Next episode per follow (null if unknown)
+   * @param {Function} commandName - Command name lookup (see getCommandNamer)
+   * @returns {string} Formatted message
+   */
+  formatFollowing(follows, nextEpisodes, commandName = defaultCommandName) {
+    if (follows.length === 0) {
+      const follow = commandName('follow');
+      return follow
+        ? `📺 This chat isn't following any series.\n\nOpen a series and send ${follow} to get new episode alerts.`
+        : `📺 This chat isn't following any series.`;
+    }
+    
+    let message = `📺 *Following (${follows.length}):*\n\n`;
+    
+    follows.forEach((follow, i) => {
+      const next = nextEpisodes[i];
+      message += `*${i + 1}.* ${follow.title}\n`;
+      message += next && next.airDate
+        ? `⏭️ ${episodeCode(next.seasonNumber, next.episodeNumber)} on ${next.airDate}\n\n`
+        : `⏭️ No upcoming episode announced\n\n`;
+    });
+    
+    if (commandName('unfollow')) {
+      message += `Send ${commandName('unfollow')} <number> to stop alerts.`;
+    }
+    
+    return message.trimEnd();
+  }
+
+  /**
+   * Format a new episode notification
+   * @param {string} seriesTitle - Series title
+   * @param {object} episode - { seasonNumber, episodeNumber, name, airDate }
+   * @param {string[]} streaming - Providers in the follow's region
+   * @returns {string} Formatted message
+   */
+  formatNewEpisode(seriesTitle, episode, streaming) {
+    let message = `🆕 *New episode: ${seriesTitle} ${episodeCode(episode.seasonNumber, episode.episodeNumber)}*\n`;
+    message += `🎞️ ${episode.name}\n`;
+    if (episode.airDate) {
+      message += `📅 Aired ${episode.airDate}\n`;
+    }
+    message += streaming && streaming.length > 0
+      ? `📺 Watch on: ${streaming.join(', ')}`
+      : `📺 Not on streaming services in your region yet`;
+    
+    return message;
+  }
+
+  /**
+   * Format a user's pending release reminders
+   * @param {object[]} reminders - Reminders, soonest first
+   * @param {Function} commandName - Command name lookup (see getCommandNamer)
+   * @returns {string} Formatted message
+   */
+  formatReminders(reminders, commandName = defaultCommandName) {
+    if (reminders.length === 0) {
+      const remindme = commandName('remindme');
+      return remindme
+        ? `🔔 You have no reminders.\n\nOpen an upcoming movie and send ${remindme} to get one.`
+        : `🔔 You have no reminders.`;
+    }
+    
+    let message = `🔔 *Your Reminders (${reminders.length}):*\n\n`;
+    
+    reminders.forEach((reminder, i) => {
+      message += `*${i + 1}.* ${reminder.title}\n`;
+      message += `📅 ${reminder.releaseDate}\n\n`;
+    });
+    
+    if (commandName('reminders')) {
+      message += `Send ${commandName('reminders')} cancel <number> to cancel one.`;
+    }
+    
+    return message.trimEnd();
+  }
+
+  /**
+   * Format a user's pending availability alerts
+   * @param {object[]} alerts - Alerts { type, title, year }
+   * @param {Function} commandName - Command name lookup (see getCommandNamer)
+   * @returns {string} Formatted message
+   */
+  formatAvailabilityAlerts(alerts, commandName = defaultCommandName) {
+    if (alerts.length === 0) {
+      const notify = commandName('notifyavailable');
+      return notify
+        ? `🔔 You have no availability alerts.\n\nOpen a title that isn't streaming yet and send ${notify} to get one.`
+        : `🔔 You have no availability alerts.`;
+    }
+    
+    let message = `🔔 *Your Availability Alerts (${alerts.length}):*\n\n`;
+    
+    alerts.forEach((alert, i) => {
+      const emoji = alert.type === 'movie' ? '🎬' : '📺';
+      const year = alert.year && alert.year !== 'N/A' ? ` (${alert.year})` : '';
+      message += `*${i + 1}.* ${emoji} ${alert.title}${year}\n`;
+    });
+    
+    if (commandName('alerts')) {
+      message += `\nSend ${commandName('alerts')} cancel <number> to cancel one.`;
+    }
+    
+    return message.trimEnd();
+  }
+
+  /**
+   * Format the private message sent when an alerted title starts streaming
+   * @param {object} details - Movie/Series details
+   * @param {string} type - 'movie' or 'series'
+   * @returns {string} Formatted message
+   */
+  formatNowStreaming(details, type) {
+    const emoji = type === 'movie' ? '🎬' : '📺';
+    let message = `🎉 *Now streaming:* ${emoji} ${details.title}\n`;
+    message += `📺 Watch on: ${details.streaming.join(', ')}`;
+    if (details.justWatchLink) {
+      message += `\n🔗 ${details.justWatchLink}`;
+    }
+    
+    return message;
+  }
+
+  /**
+   * Format the vote standings of a movie-night poll
+   * @param {object[]} standings - Options with votes, most votes first
+   * @param {Function} commandName - Command name lookup (see getCommandNamer)
+   * @returns {string} Formatted message
+   */
+  formatMovieNightStandings(standings, commandName = defaultCommandName) {
+    const totalVotes = standings.reduce((sum, option) => sum + option.votes, 0);
+    
+    let message = `🍿 *Movie Night Poll* (${totalVotes} ${totalVotes === 1 ? 'vote' : 'votes'})\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    
+    standings.forEach(option => {
+      message += `${option.votes > 0 ? '🗳️' : '▫️'} ${option.name} — ${option.votes}\n`;
+    });
+    
+    if (commandName('movienight')) {
+      message += `\nThe organizer can end it early with ${commandName('movienight')} close.`;
+    }
+    
+    return message.trimEnd();
+  }
+
+  /**
+   * Format a season's episode list
+   * @param {object} season - Season details
+   * @param {string} seriesTitle - Series title
+   * @param {Function} commandName - Command name lookup (see getCommandNamer)
+   * @returns {string} Formatted message
+   */
+  formatSeasonDetails(season, seriesTitle, commandName = defaultCommandName) {
+    let message = `📺 *${seriesTitle} — ${season.name}*\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    
+    if (season.airDate) {
+      message += `📅 *Aired:* ${season.airDate}\n`;
+    }
+    message += `🎞️ *Episodes:* ${season.episodes.length}\n\n`;
+    
+    if (season.episodes.length === 0) {
+      message += `No episodes announced yet.`;
+      return message;
+    }
+    
+    season.episodes.forEach(episode => {
+      message += `*${episode.episodeNumber}.* ${episode.name}\n`;
+      message += `📅 ${episode.airDate || 'TBA'} | ⭐ ${episode.rating}/10\n\n`;
+    });
+    
+    if (commandName('episode')) {
+      const example = `${season.seasonNumber}x${season.episodes[0].episodeNumber}`;
+      message += `Send ${commandName('episode')} ${example} for episode details.`;
+    }
+    
+    return message.trimEnd();
+  }
+
+  /**
+   * Format episode details as caption for episode still
+   * @param {object} episode - Episode details
+   * @param {string} seriesTitle - Series title
+   * @param {string} source - Metadata provider name for the footer credit
+   * @returns {string} Formatted caption
+   */
+  formatEpisodeCaption(episode, seriesTitle, source = null) {
+    const code = episodeCode(episode.seasonNumber, episode.episodeNumber);
+    let caption = '';
+    
+    caption += `📺 *${seriesTitle} — ${code}*\n`;
+    caption += `🎞️ *${episode.name}*\n`;
+    caption += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    
+    caption += `📅 *Air Date:* ${episode.airDate || 'TBA'}\n`;
+    caption += `⭐ *Rating:* ${episode.rating}/10\n`;
+    if (episode.runtime) {
+      caption += `⏱️ *Runtime:* ${episode.runtime} min\n`;
+    }
+    if (episode.directors && episode.directors.length > 0) {
+      caption += `🎬 *Directed by:* ${episode.directors.join(', ')}\n`;
+    }
+    
+    caption += `\n`;
+    caption += `📖 *Synopsis:*\n${episode.overview}\n\n`;
+    
+    if (episode.guestStars && episode.guestStars.length > 0) {
+      caption += `🌟 *Guest Stars:*\n`;
+      caption += episode.guestStars
+        .map(star => `   • ${star.character ? `${star.name} as ${star.character}` : star.name}`)
+        .join('\n');
+      caption += `\n`;
+    }
+    
+    if (source) {
+      caption += `\n━━━━━━━━━━━━━━━━━━━━\n`;
+      caption += `_Powered by ${source}_`;
+    }
+    
+    return caption.trimEnd();
   }
 
   /**
@@ -268,6 +1387,20 @@ class CommandRouter {
         }
       }
       
+      // Clean result lists attached to messages
+      for (const [messageId, search] of this.messageSearches.entries()) {
+        if (now - search.timestamp > 3600000) {
+          this.messageSearches.delete(messageId);
+        }
+      }
+      
+      // Clean last opened titles
+      for (const [userId, opened] of this.lastOpened.entries()) {
+        if (now - opened.timestamp > 3600000) {
+          this.lastOpened.delete(userId);
+        }
+      }
+      
       // Clean rate limits
       for (const [userId, limit] of this.rateLimits.entries()) {
         limit.requests = limit.requests.filter(time => now - time < 60000);
@@ -277,7 +1410,7 @@ class CommandRouter {
       }
       
       logger.debug(`Cleaned up command router cache. Searches: ${this.userSearches.size}, Rate limits: ${this.rateLimits.size}`);
-    }, 300000); // Every 5 minutes
+    }, 300000).unref(); // Every 5 minutes; cleanup alone doesn't keep the process running
   }
 }
 
@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const { generateId } = require('../utils/helpers');
+
+/**
+ * Persistent key/value cache backed by the filesystem
+ *
+ * Each entry is stored in its own file (JSON for objects, raw bytes for
+ * Buffers) and tracked in an index that is flushed to disk shortly after
+ * every change, so cached lookups survive PM2 restarts.
+ *
+ * Reads follow stale-while-revalidate semantics:
+ * - age < ttl: fresh hit, served from disk
+ * - ttl <= age < ttl + staleTtl: stale hit, served from disk and refreshed in the background
+ * - older or missing: miss, fetched before returning
+ */
+class DiskCache {
+  /**
+   * @param {object} options - Cache options
+   * @param {string} options.directory - Directory to store entries in
+   * @param {object} options.ttls - TTL in ms per kind (e.g. { search, details, poster })
+   * @param {number} options.staleTtl - How long past its TTL an entry may still be served (ms)
+   * @param {number} options.maxEntries - Maximum number of entries kept
+   * @param {number} options.maxBytes - Maximum total size of stored entries
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.ttls = options.ttls;
+    this.staleTtl = options.staleTtl;
+    this.maxEntries = options.maxEntries;
+    this.maxBytes = options.maxBytes;
+    this.indexPath = path.join(this.directory, 'index.json');
+
+    // key -> { kind, file, size, storedAt }, kept in least-recently-used order
+    this.index = new Map();
+    this.totalBytes = 0;
+    this.pending = new Map(); // In-flight fetches by key (dedupes concurrent lookups)
+    this.flushTimer = null;
+    this.stats = {};
+
+    fs.ensureDirSync(this.directory);
+    this.loadIndex();
+  }
+
+  /**
+   * Load index from disk, dropping entries whose files are gone
+   * and files that no entry points to
+   */
+  loadIndex() {
+    try {
+      if (fs.pathExistsSync(this.indexPath)) {
+        const saved = fs.readJsonSync(this.indexPath);
+        for (const [key, entry] of saved.entries || []) {
+          if (fs.pathExistsSync(path.join(this.directory, entry.file))) {
+            this.index.set(key, entry);
+            this.totalBytes += entry.size;
+          }
+        }
+      }
+
+      const tracked = new Set(Array.from(this.index.values()).map(entry => entry.file));
+      for (const file of fs.readdirSync(this.directory)) {
+        if (file !== 'index.json' && !tracked.has(file)) {
+          fs.removeSync(path.join(this.directory, file));
+        }
+      }
+
+      logger.debug(`Disk cache loaded: ${this.index.size} entries (${this.directory})`);
+    } catch (error) {
+      logger.warn(`Could not load disk cache index, starting empty: ${error.message}`);
+      this.index.clear();
+      this.totalBytes = 0;
+
+      // Entry files can't be matched to keys without the index; drop them so they don't pile up
+      try {
+        fs.emptyDirSync(this.directory);
+      } catch (emptyError) {
+        logger.warn(`Could not empty disk cache directory: ${emptyError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Schedule an index write (debounced)
+   * The index is replaced atomically so a crash mid-write can't truncate it
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(async () => {
+      this.flushTimer = null;
+      try {
+        const tempPath = `${this.indexPath}.tmp`;
+        await fs.writeJSON(tempPath, { entries: Array.from(this.index.entries()) });
+        await fs.move(tempPath, this.indexPath, { overwrite: true });
+      } catch (error) {
+        logger.error('Failed to write disk cache index', error);
+      }
+    }, 1000);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Get per-kind stats bucket
+   * @param {string} kind - Entry kind
+   * @returns {object} Stats bucket
+   */
+  getKindStats(kind) {
+    if (!this.stats[kind]) {
+      this.stats[kind] = { hits: 0, staleHits: 0, misses: 0 };
+    }
+    return this.stats[kind];
+  }
+
+  /**
+   * Get a cached value, fetching and storing it when missing or expired
+   * @param {string} kind - Entry kind, selects the TTL
+   * @param {string} key - Cache key
+   * @param {Function} fetchFn - Function to fetch the value
+   * @returns {Promise<any>} Cached or freshly fetched value
+   */
+  async get(kind, key, fetchFn) {
+    const stats = this.getKindStats(kind);
+    const entry = this.index.get(key);
+    const ttl = this.ttls[kind];
+
+    if (entry) {
+      const age = Date.now() - entry.storedAt;
+
+      if (age < ttl + this.staleTtl) {
+        const data = await this.read(key, entry);
+
+        if (data !== undefined) {
+          if (age < ttl) {
+            stats.hits++;
+            logger.debug(`Cache hit: ${key}`);
+          } else {
+            stats.staleHits++;
+            logger.debug(`Cache stale hit, revalidating: ${key}`);
+            this.fetch(kind, key, fetchFn).catch(error => {
+              logger.debug(`Background revalidation failed for ${key}: ${error.message}`);
+            });
+          }
+          return data;
+        }
+      }
+    }
+
+    stats.misses++;
+    return this.fetch(kind, key, fetchFn);
+  }
+
+  /**
+   * Fetch and store a value, sharing the request with concurrent callers
+   * @param {string} kind - Entry kind
+   * @param {string} key - Cache key
+   * @param {Function} fetchFn - Function to fetch the value
+   * @returns {Promise<any>} Fetched value
+   */
+  fetch(kind, key, fetchFn) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const request = (async () => {
+      try {
+        const data = await fetchFn();
+        if (data !== null && data !== undefined) {
+          await this.write(kind, key, data);
+        }
+        return data;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, request);
+    return request;
+  }
+
+  /**
+   * Read an entry from disk and mark it as recently used
+   * @param {string} key - Cache key
+   * @param {object} entry - Index entry
+   * @returns {Promise<any>} Stored value, or undefined if unreadable
+   */
+  async read(key, entry) {
+    try {
+      const filePath = path.join(this.directory, entry.file);
+      const data = entry.binary
+        ? await fs.readFile(filePath)
+        : await fs.readJSON(filePath);
+
+      // Move to the end of the map (most recently used)
+      this.index.delete(key);
+      this.index.set(key, entry);
+      return data;
+    } catch (error) {
+      logger.debug(`Disk cache read failed for ${key}: ${error.message}`);
+      // The key may have been rewritten while reading; keep the newer entry
+      if (this.index.get(key) === entry) {
+        this.remove(key);
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Write an entry to disk and evict old entries if over limits
+   * Every write gets its own file, so removing an older version of the entry
+   * can never delete the new one
+   * @param {string} kind - Entry kind
+   * @param {string} key - Cache key
+   * @param {any} data - Value to store (Buffer or JSON-serializable)
+   */
+  async write(kind, key, data) {
+    const binary = Buffer.isBuffer(data);
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    const file = `${kind}-${hash}-${generateId()}.${binary ? 'bin' : 'json'}`;
+    const contents = binary ? data : JSON.stringify(data);
+
+    try {
+      await fs.writeFile(path.join(this.directory, file), contents);
+    } catch (error) {
+      logger.error(`Failed to write disk cache entry: ${key}`, error);
+      return;
+    }
+
+    this.remove(key);
+
+    const size = Buffer.byteLength(contents);
+    this.index.set(key, { kind, file, size, binary, storedAt: Date.now() });
+    this.totalBytes += size;
+
+    this.evict();
+    this.scheduleFlush();
+  }
+
+  /**
+   * Remove an entry and its file
+   * @param {string} key - Cache key
+   */
+  remove(key) {
+    const entry = this.index.get(key);
+    if (!entry) return;
+
+    this.index.delete(key);
+    this.totalBytes -= entry.size;
+    fs.remove(path.join(this.directory, entry.file)).catch(() => {});
+    this.scheduleFlush();
+  }
+
+  /**
+   * Evict least recently used entries until within size limits
+   */
+  evict() {
+    let evicted = 0;
+    for (const key of this.index.keys()) {
+      if (this.index.size <= this.maxEntries && this.totalBytes <= this.maxBytes) break;
+      this.remove(key);
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      logger.debug(`Disk cache evicted ${evicted} entries`);
+    }
+  }
+
+  /**
+   * Remove all entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear() {
+    const count = this.index.size;
+    this.index.clear();
+    this.totalBytes = 0;
+    await fs.emptyDir(this.directory);
+    return count;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {object} Entry counts, size and hit/miss ratios per kind
+   */
+  getStats() {
+    const ratio = ({ hits, staleHits, misses }) => {
+      const total = hits + staleHits + misses;
+      return total > 0 ? Number(((hits + staleHits) / total).toFixed(3)) : 0;
+    };
+
+    const totals = { hits: 0, staleHits: 0, misses: 0 };
+    const kinds = {};
+    for (const [kind, stats] of Object.entries(this.stats)) {
+      kinds[kind] = { ...stats, hitRatio: ratio(stats) };
+      totals.hits += stats.hits;
+      totals.staleHits += stats.staleHits;
+      totals.misses += stats.misses;
+    }
+
+    return {
+      entries: this.index.size,
+      bytes: this.totalBytes,
+      ...totals,
+      hitRatio: ratio(totals),
+      kinds
+    };
+  }
+}
+
+module.exports = DiskCache;
@@ -0,0 +1,507 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const MetadataProvider = require('./metadata-provider');
+
+/**
+ * File-backed metadata provider
+ *
+ * Serves movies, series and people from a local JSON file so the movie bot
+ * can run offline (tests, demos, development without a TMDB key).
+ *
+ * Fixture format:
+ * {
+ *   "movies": [{ "id": 1, "title": "Inception", "releaseDate": "2010-07-15", ... }],
+ *   "series": [{ "id": 2, "title": "Dark", "releaseDate": "2017-12-01", ... }],
+ *   "people": [{ "id": 3, "name": "Christopher Nolan", "credits": [...], ... }],
+ *   "certifications": { "movie": { "IN": ["U", "UA", "A"] }, "series": { ... } }
+ * }
+ *
+ * Movie and series entries use the same fields as the details objects
+ * returned by TMDBService. Series may list "seasons", each shaped like
+ * getSeasonDetails() with full episode details in "episodes". Movies and
+ * series may list "recommendations" as IDs of other entries of the same kind,
+ * and "originalLanguage" (ISO 639-1) for !discover lang: filters. IMDb IDs
+ * are looked up from "imdbLink". An entry's "certification" is used for every
+ * region; "certifications" lists each region's ratings from least to most restricted.
+ * "watchProviders" maps regions to provider names by offer type, e.g.
+ * { "IN": { "flatrate": ["Netflix"], "rent": ["Apple TV"] } }. Without "castCredits"
+ * ({ name, character }), the "cast" names are credited without characters.
+ * Poster paths are resolved relative to the fixture file.
+ */
+class FixtureProvider extends MetadataProvider {
+  constructor(fixturePath) {
+    super('Fixture');
+    this.fixturePath = path.resolve(process.cwd(), fixturePath);
+    this.data = null;
+  }
+
+  /**
+   * Load fixture file (lazily, once)
+   * @returns {Promise<object>} Fixture data
+   */
+  async load() {
+    if (this.data) return this.data;
+
+    const raw = await fs.readJSON(this.fixturePath);
+    this.data = {
+      movies: raw.movies || [],
+      series: raw.series || [],
+      people: raw.people || [],
+      certifications: raw.certifications || {}
+    };
+
+    logger.debug(`Loaded fixtures: ${this.data.movies.length} movies, ${this.data.series.length} series, ${this.data.people.length} people`);
+    return this.data;
+  }
+
+  /**
+   * Find entries whose title/name contains the query (case-insensitive)
+   * and return one page of them
+   * @param {object[]} entries - Fixture entries
+   * @param {string} field - Field to match against
+   * @param {string} query - Search query
+   * @param {number} page - 1-based page number
+   * @param {Function} mapFn - Converts an entry into a search result
+   * @returns {object} Search page
+   */
+  search(entries, field, query, page, mapFn) {
+    const needle = query.toLowerCase().trim();
+    const matches = entries.filter(entry => (entry[field] || '').toLowerCase().includes(needle));
+    const start = (page - 1) * MetadataProvider.PAGE_SIZE;
+    return this.paginate(
+      matches.slice(start, start + MetadataProvider.PAGE_SIZE).map(mapFn),
+      page,
+      matches.length
+    );
+  }
+
+  /**
+   * Convert a fixture title entry into a search result
+   * @param {object} entry - Fixture entry
+   * @returns {object} Search result
+   */
+  toSearchResult(entry) {
+    return {
+      id: entry.id,
+      title: entry.title,
+      year: this.getYear(entry),
+      rating: entry.rating || 'N/A',
+      overview: entry.description || 'No overview available',
+      adult: Boolean(entry.adult)
+    };
+  }
+
+  /**
+   * Get an entry's watch offers in a region
+   * Entries without "watchProviders" offer their "streaming" list in every region
+   * @param {object} entry - Fixture entry
+   * @param {string} region - ISO 3166-1 region code
+   * @returns {object} Provider names by offer type { flatrate, free, ads, rent, buy }
+   */
+  getOffers(entry, region) {
+    const offers = entry.watchProviders
+      ? entry.watchProviders[region] || {}
+      : { flatrate: entry.streaming || [] };
+    return {
+      flatrate: offers.flatrate || [],
+      free: offers.free || [],
+      ads: offers.ads || [],
+      rent: offers.rent || [],
+      buy: offers.buy || []
+    };
+  }
+
+  /**
+   * Fill in defaults so fixture entries match the TMDB details shape
+   * @param {object} entry - Fixture entry
+   * @param {object} options - Locale options (region selects watchProviders)
+   * @returns {object} Details object
+   */
+  toDetails(entry, options = {}) {
+    const providers = this.getOffers(entry, (options.region || 'IN').toUpperCase());
+
+    return {
+      releaseDate: 'N/A',
+      rating: 'N/A',
+      description: 'No description available',
+      cast: [],
+      directors: [],
+      creators: [],
+      writers: [],
+      composers: [],
+      genres: 'N/A',
+      originCountry: null,
+      countryFlag: '',
+      poster: null,
+      trailer: null,
+      streaming: [],
+      streamingDetails: [],
+      justWatchLink: null,
+      imdbLink: null,
+      lastEpisode: null,
+      nextEpisode: null,
+      certification: null,
+      adult: false,
+      ...entry,
+      castCredits: entry.castCredits || (entry.cast || []).map(name => ({ name, character: null })),
+      streaming: providers.flatrate,
+      providers,
+      regionalReleaseDate: entry.regionalReleaseDate || entry.releaseDate || null,
+      year: this.getYear(entry)
+    };
+  }
+
+  /**
+   * Get release year of a fixture entry
+   * @param {object} entry - Fixture entry
+   * @returns {string} Year or 'N/A'
+   */
+  getYear(entry) {
+    if (entry.year) return String(entry.year);
+    return entry.releaseDate && entry.releaseDate !== 'N/A' ? entry.releaseDate.split('-')[0] : 'N/A';
+  }
+
+  /**
+   * Find an entry by ID
+   * @param {object[]} entries - Fixture entries
+   * @param {number|string} id - Entry ID
+   * @param {string} kind - Entry kind for error messages
+   * @returns {object} Entry
+   */
+  findById(entries, id, kind) {
+    const entry = entries.find(e => String(e.id) === String(id));
+    if (!entry) {
+      throw new Error(`Fixture ${kind} not found: ${id}`);
+    }
+    return entry;
+  }
+
+  async searchMovie(query, options = {}, page = 1) {
+    const { movies } = await this.load();
+    return this.search(movies, 'title', query, page, movie => this.toSearchResult(movie));
+  }
+
+  async searchSeries(query, options = {}, page = 1) {
+    const { series } = await this.load();
+    return this.search(series, 'title', query, page, show => this.toSearchResult(show));
+  }
+
+  async searchPerson(query, options = {}, page = 1) {
+    const { people } = await this.load();
+    return this.search(people, 'name', query, page, person => ({
+      id: person.id,
+      name: person.name,
+      department: person.department || 'N/A',
+      knownFor: person.knownFor || []
+    }));
+  }
+
+  async searchMulti(query, options = {}, page = 1) {
+    const { movies, series, people } = await this.load();
+    const entries = [
+      ...movies.map(movie => ({ ...movie, mediaType: 'movie', label: movie.title })),
+      ...series.map(show => ({ ...show, mediaType: 'series', label: show.title })),
+      ...people.map(person => ({ ...person, mediaType: 'person', label: person.name }))
+    ];
+
+    return this.search(entries, 'label', query, page, entry => (entry.mediaType === 'person'
+      ? {
+        id: entry.id,
+        title: entry.name,
+        year: 'N/A',
+        rating: 'N/A',
+        department: entry.department || 'N/A',
+        mediaType: 'person'
+      }
+      : { ...this.toSearchResult(entry), mediaType: entry.mediaType }));
+  }
+
+  /**
+   * Page through a fixed list of entries
+   * @param {object[]} entries - Fixture entries, already ordered
+   * @param {number} page - 1-based page number
+   * @param {Function} mapFn - Converts an entry into a result
+   * @returns {object} Page of results
+   */
+  list(entries, page, mapFn) {
+    const start = (page - 1) * MetadataProvider.PAGE_SIZE;
+    return this.paginate(
+      entries.slice(start, start + MetadataProvider.PAGE_SIZE).map(mapFn),
+      page,
+      entries.length
+    );
+  }
+
+  /**
+   * Sort entries by rating, best first
+   * @param {object[]} entries - Fixture entries
+   * @returns {object[]} Sorted copy
+   */
+  byRating(entries) {
+    return [...entries].sort((a, b) => (parseFloat(b.rating) || 0) - (parseFloat(a.rating) || 0));
+  }
+
+  // Fixtures have no charts, so "trending" and "popular" rank by rating
+  async getTrending(timeWindow, options = {}, page = 1) {
+    const { movies, series } = await this.load();
+    const entries = this.byRating([
+      ...movies.map(movie => ({ ...movie, mediaType: 'movie' })),
+      ...series.map(show => ({ ...show, mediaType: 'series' }))
+    ]);
+    return this.list(entries, page, entry => ({ ...this.toSearchResult(entry), mediaType: entry.mediaType }));
+  }
+
+  async getPopular(options = {}, page = 1) {
+    const { movies } = await this.load();
+    return this.list(this.byRating(movies), page, movie => ({ ...this.toSearchResult(movie), mediaType: 'movie' }));
+  }
+
+  // Released within the last six weeks
+  async getNowPlaying(options = {}, page = 1) {
+    const { movies } = await this.load();
+    const today = new Date().toISOString().split('T')[0];
+    const since = new Date(Date.now() - 42 * 86400000).toISOString().split('T')[0];
+    const entries = movies
+      .filter(movie => movie.releaseDate && movie.releaseDate >= since && movie.releaseDate <= today)
+      .sort((a, b) => b.releaseDate.localeCompare(a.releaseDate));
+    return this.list(entries, page, movie => ({ ...this.toSearchResult(movie), mediaType: 'movie' }));
+  }
+
+  async getUpcoming(options = {}, page = 1) {
+    const { movies } = await this.load();
+    const today = new Date().toISOString().split('T')[0];
+    const entries = movies
+      .filter(movie => movie.releaseDate && movie.releaseDate > today)
+      .sort((a, b) => a.releaseDate.localeCompare(b.releaseDate));
+    return this.list(entries, page, movie => ({
+      ...this.toSearchResult(movie),
+      mediaType: 'movie',
+      releaseDate: movie.releaseDate
+    }));
+  }
+
+  async getRecommendations(type, id, options = {}, page = 1) {
+    const data = await this.load();
+    const entries = type === 'movie' ? data.movies : data.series;
+    const ids = (this.findById(entries, id, type).recommendations || []).map(String);
+    const recommended = entries.filter(entry => ids.includes(String(entry.id)));
+    return this.list(recommended, page, entry => ({ ...this.toSearchResult(entry), mediaType: type }));
+  }
+
+  /**
+   * Get genre names of a fixture entry
+   * @param {object} entry - Fixture entry
+   * @returns {string[]} Genre names
+   */
+  getGenreNames(entry) {
+    if (!entry.genres || entry.genres === 'N/A') return [];
+    return entry.genres.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  // Fixture genres have no IDs, so the name doubles as the ID
+  async getGenres(type, options = {}) {
+    const data = await this.load();
+    const entries = type === 'movie' ? data.movies : data.series;
+    const names = new Set(entries.flatMap(entry => this.getGenreNames(entry)));
+    return Array.from(names).sort().map(name => ({ id: name, name }));
+  }
+
+  async discover(filters, options = {}, page = 1) {
+    const data = await this.load();
+    const entries = filters.type === 'movie' ? data.movies : data.series;
+    const region = (options.region || 'IN').toUpperCase();
+    const services = filters.watchProviders || [];
+
+    const matches = entries.filter(entry => {
+      const year = parseInt(this.getYear(entry));
+      const rating = parseFloat(entry.rating);
+      return filters.genres.every(genre => this.getGenreNames(entry).includes(genre))
+        && (!filters.yearFrom || (year >= filters.yearFrom && year <= filters.yearTo))
+        && (filters.minRating === null || rating >= filters.minRating)
+        && (filters.maxRating === null || rating <= filters.maxRating)
+        && (!filters.language || entry.originalLanguage === filters.language)
+        && (services.length === 0 || this.getOffers(entry, region).flatrate.some(name => services.includes(name)));
+    });
+
+    // No popularity data: "popular" ranks by rating like getPopular()
+    const byDate = (a, b) => (a.releaseDate || '').localeCompare(b.releaseDate || '');
+    const sorted = {
+      popular: () => this.byRating(matches),
+      rating: () => this.byRating(matches),
+      newest: () => [...matches].sort(byDate).reverse(),
+      oldest: () => [...matches].sort(byDate)
+    }[filters.sort]();
+
+    return this.list(sorted, page, entry => ({ ...this.toSearchResult(entry), mediaType: filters.type }));
+  }
+
+  // Films whose collectionInfo points at the collection
+  async getCollection(collectionId, options = {}, page = 1) {
+    const { movies } = await this.load();
+    const parts = movies
+      .filter(movie => movie.collectionInfo && String(movie.collectionInfo.id) === String(collectionId))
+      .sort((a, b) => (a.releaseDate || '9999').localeCompare(b.releaseDate || '9999'));
+    return this.list(parts, page, movie => ({ ...this.toSearchResult(movie), mediaType: 'movie' }));
+  }
+
+  // Subscription services any entry streams on in the region; names double as IDs
+  async getStreamingServices(type, options = {}) {
+    const data = await this.load();
+    const region = (options.region || 'IN').toUpperCase();
+    const names = new Set((type === 'movie' ? data.movies : data.series)
+      .flatMap(entry => this.getOffers(entry, region).flatrate));
+    return Array.from(names).sort().map(name => ({ id: name, name }));
+  }
+
+  async getCertifications(type, options = {}) {
+    const { certifications } = await this.load();
+    return certifications[type]?.[(options.region || 'IN').toUpperCase()] || [];
+  }
+
+  async getCertification(type, id) {
+    const { movies, series } = await this.load();
+    return this.findById(type === 'movie' ? movies : series, id, type).certification || null;
+  }
+
+  // Matches the IMDb ID at the end of an entry's imdbLink
+  async findByExternalId(externalId, source = 'imdb_id') {
+    if (source !== 'imdb_id') return null;
+
+    const { movies, series } = await this.load();
+    const matches = entry => (entry.imdbLink || '').replace(/\/+$/, '').endsWith(`/${externalId}`);
+    const movie = movies.find(matches);
+    if (movie) return { id: movie.id, type: 'movie' };
+    const show = series.find(matches);
+    return show ? { id: show.id, type: 'series' } : null;
+  }
+
+  async getMovieDetails(movieId, options = {}) {
+    const { movies } = await this.load();
+    return this.toDetails(this.findById(movies, movieId, 'movie'), options);
+  }
+
+  async getSeriesDetails(seriesId, options = {}) {
+    const { series } = await this.load();
+    return this.toDetails(this.findById(series, seriesId, 'series'), options);
+  }
+
+  // Regions listed in "watchProviders" (plain "streaming" is reported for the requested region)
+  async getWatchProviders(type, id, options = {}) {
+    const { movies, series } = await this.load();
+    const entry = this.findById(type === 'movie' ? movies : series, id, type);
+    const regions = entry.watchProviders
+      ? Object.keys(entry.watchProviders)
+      : [(options.region || 'IN').toUpperCase()];
+
+    const offers = {};
+    for (const region of regions) {
+      offers[region] = this.getOffers(entry, region);
+    }
+    return offers;
+  }
+
+  /**
+   * Find a season of a fixture series
+   * @param {number|string} seriesId - Series ID
+   * @param {number} seasonNumber - Season number
+   * @returns {Promise<object>} Season entry
+   */
+  async findSeason(seriesId, seasonNumber) {
+    const { series } = await this.load();
+    const show = this.findById(series, seriesId, 'series');
+    const season = (show.seasons || []).find(s => s.seasonNumber === seasonNumber);
+    if (!season) {
+      throw new Error(`Fixture season not found: ${seriesId} S${seasonNumber}`);
+    }
+    return season;
+  }
+
+  async getSeasonDetails(seriesId, seasonNumber) {
+    const season = await this.findSeason(seriesId, seasonNumber);
+    return {
+      name: `Season ${seasonNumber}`,
+      airDate: null,
+      overview: '',
+      poster: null,
+      ...season,
+      episodes: (season.episodes || []).map(episode => ({
+        episodeNumber: episode.episodeNumber,
+        name: episode.name || `Episode ${episode.episodeNumber}`,
+        airDate: episode.airDate || null,
+        rating: episode.rating || 'N/A',
+        runtime: episode.runtime || null
+      }))
+    };
+  }
+
+  async getEpisodeDetails(seriesId, seasonNumber, episodeNumber) {
+    const season = await this.findSeason(seriesId, seasonNumber);
+    const episode = (season.episodes || []).find(e => e.episodeNumber === episodeNumber);
+    if (!episode) {
+      throw new Error(`Fixture episode not found: ${seriesId} S${seasonNumber}E${episodeNumber}`);
+    }
+    return {
+      name: `Episode ${episodeNumber}`,
+      airDate: null,
+      rating: 'N/A',
+      runtime: null,
+      overview: 'No synopsis available',
+      still: null,
+      directors: [],
+      guestStars: [],
+      ...episode,
+      seasonNumber
+    };
+  }
+
+  async getPersonDetails(personId) {
+    const { people } = await this.load();
+    const person = this.findById(people, personId, 'person');
+    return {
+      department: 'N/A',
+      biography: 'No biography available',
+      birthday: null,
+      deathday: null,
+      placeOfBirth: null,
+      photo: null,
+      imdbLink: null,
+      knownFor: [],
+      credits: [],
+      ...person
+    };
+  }
+
+  /**
+   * Read poster image from disk
+   * @param {string} posterPath - Poster path relative to the fixture file
+   * @returns {Promise<Buffer|null>} Image buffer
+   */
+  async downloadPoster(posterPath) {
+    if (!posterPath || /^https?:\/\//.test(posterPath)) return null;
+
+    try {
+      return await fs.readFile(path.resolve(path.dirname(this.fixturePath), posterPath));
+    } catch (error) {
+      logger.error(`Failed to read fixture poster: ${error.message}`);
+      return null;
+    }
+  }
+
+  async testConnection() {
+    try {
+      const { movies, series, people } = await this.load();
+      return {
+        success: true,
+        message: `Fixture provider loaded (${movies.length} movies, ${series.length} series, ${people.length} people)`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Fixture provider failed to load: ${error.message}`
+      };
+    }
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,173 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+const { sanitizeJid, isGroupChat, generateId } = require('../utils/helpers');
+
+// Series a single chat may follow
+const MAX_FOLLOWS_PER_CHAT = 30;
+
+/**
+ * Compare two episodes by season, then episode number
+ * @param {object} a - { seasonNumber, episodeNumber }
+ * @param {object} b - { seasonNumber, episodeNumber }
+ * @returns {number} Negative if a airs before b
+ */
+function compareEpisodes(a, b) {
+  return a.seasonNumber - b.seasonNumber || a.episodeNumber - b.episodeNumber;
+}
+
+/**
+ * Followed series for one account
+ *
+ * Follows belong to a chat: in a group the whole group follows the series
+ * (any member can unfollow), in private chats the user does. Private chats
+ * are keyed by sanitized JID so the same person is recognised across devices.
+ * Stored in DATA_PATH/follows/<accountId>.json.
+ */
+class FollowService {
+  constructor(accountId) {
+    this.accountId = accountId;
+    const dataPath = process.env.DATA_PATH || './data';
+    this.store = new JsonStore(path.join(dataPath, 'follows', `${accountId}.json`), { follows: [] });
+  }
+
+  /**
+   * Get the key a chat's follows are stored under
+   * @param {string} chatJid - Chat JID
+   * @returns {string} Owner key
+   */
+  getOwnerKey(chatJid) {
+    return isGroupChat(chatJid) ? chatJid : sanitizeJid(chatJid);
+  }
+
+  /**
+   * Get the series a chat follows, in the order they were followed
+   * @param {string} chatJid - Chat JID
+   * @returns {object[]} Follows
+   */
+  getForChat(chatJid) {
+    const ownerKey = this.getOwnerKey(chatJid);
+    return this.store.data.follows.filter(follow => follow.ownerKey === ownerKey);
+  }
+
+  /**
+   * Get every follow (for the episode check job)
+   * @returns {object[]} Follows
+   */
+  getAll() {
+    return [...this.store.data.follows];
+  }
+
+  /**
+   * Follow a series in a chat
+   * @param {string} chatJid - Chat to notify
+   * @param {object} series - { id, title, lastEpisode }
+   * @param {object} locale - Locale options used for provider lookups
+   * @returns {object} { added, reason }
+   */
+  add(chatJid, series, locale) {
+    const existing = this.getForChat(chatJid);
+
+    if (existing.some(follow => String(follow.seriesId) === String(series.id))) {
+      return { added: false, reason: 'duplicate' };
+    }
+
+    if (existing.length >= MAX_FOLLOWS_PER_CHAT) {
+      return { added: false, reason: 'full' };
+    }
+
+    this.store.data.follows.push({
+      id: generateId(),
+      ownerKey: this.getOwnerKey(chatJid),
+      chatJid,
+      seriesId: series.id,
+      title: series.title,
+      locale,
+      // Episodes that aired before following are never announced
+      lastNotified: series.lastEpisode
+        ? { seasonNumber: series.lastEpisode.seasonNumber, episodeNumber: series.lastEpisode.episodeNumber }
+        : null,
+      followedAt: new Date().toISOString()
+    });
+    this.store.save();
+
+    return { added: true, reason: null };
+  }
+
+  /**
+   * Unfollow by 1-based position in the chat's list
+   * @param {string} chatJid - Chat JID
+   * @param {number} position - Position shown by !following
+   * @returns {object|null} Removed follow
+   */
+  removeAt(chatJid, position) {
+    const follow = this.getForChat(chatJid)[position - 1];
+    if (!follow) return null;
+
+    this.remove(follow.id);
+    return follow;
+  }
+
+  /**
+   * Unfollow a series by ID
+   * @param {string} chatJid - Chat JID
+   * @param {number|string} seriesId - Series ID
+   * @returns {object|null} Removed follow
+   */
+  removeSeries(chatJid, seriesId) {
+    const follow = this.getForChat(chatJid).find(f => String(f.seriesId) === String(seriesId));
+    if (!follow) return null;
+
+    this.remove(follow.id);
+    return follow;
+  }
+
+  /**
+   * Remove a follow
+   * @param {string} id - Follow ID
+   */
+  remove(id) {
+    this.store.data.follows = this.store.data.follows.filter(follow => follow.id !== id);
+    this.store.save();
+  }
+
+  /**
+   * Pick the newest aired episode that hasn't been announced yet
+   * @param {object} follow - Follow
+   * @param {object[]} candidates - Episode summaries (last and next to air, may be null)
+   * @param {string} today - Current date (YYYY-MM-DD)
+   * @returns {object|null} Episode to announce
+   */
+  getNewEpisode(follow, candidates, today) {
+    const aired = candidates
+      .filter(episode => episode && episode.airDate && episode.airDate <= today)
+      .filter(episode => !follow.lastNotified || compareEpisodes(episode, follow.lastNotified) > 0)
+      .sort(compareEpisodes);
+
+    return aired.length > 0 ? aired[aired.length - 1] : null;
+  }
+
+  /**
+   * Record that an episode was announced
+   * @param {string} id - Follow ID
+   * @param {object} episode - { seasonNumber, episodeNumber }
+   */
+  markNotified(id, episode) {
+    const follow = this.store.data.follows.find(f => f.id === id);
+    if (!follow) return;
+
+    follow.lastNotified = { seasonNumber: episode.seasonNumber, episodeNumber: episode.episodeNumber };
+    this.store.save();
+  }
+
+  /**
+   * Write pending changes to disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.store.flush();
+  }
+}
+
+FollowService.MAX_PER_CHAT = MAX_FOLLOWS_PER_CHAT;
+
+module.exports = FollowService;
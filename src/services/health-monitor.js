@@ -71,6 +71,10 @@ class HealthMonitor {
         text: stats.cacheStats ? 'Active' : 'N/A',
         media: stats.cacheStats ? 'Active' : 'N/A',
         searches: stats.cacheStats?.userSearches || 0,
+        tmdbEntries: stats.cacheStats?.tmdbCache?.entries || 0,
+        tmdbHitRatio: stats.cacheStats?.tmdbCache
+          ? `${Math.round(stats.cacheStats.tmdbCache.hitRatio * 100)}%`
+          : 'N/A',
         chats: stats.activeSessions || 0
       },
       accounts: {
@@ -307,6 +311,14 @@ class HealthMonitor {
           <span class="stat-label">User Searches</span>
           <span class="stat-value">${data.caches.searches}</span>
         </div>
+        <div class="stat-row">
+          <span class="stat-label">TMDB Cache Entries</span>
+          <span class="stat-value">${data.caches.tmdbEntries}</span>
+        </div>
+        <div class="stat-row">
+          <span class="stat-label">TMDB Cache Hit Ratio</span>
+          <span class="stat-value">${data.caches.tmdbHitRatio}</span>
+        </div>
       </div>
     </div>
 
@@ -0,0 +1,93 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Small persistent JSON document
+ *
+ * Holds one object in memory and writes it back to disk shortly after each
+ * change (debounced), replacing the file atomically so a crash mid-write
+ * never leaves a truncated document behind.
+ */
+class JsonStore {
+  /**
+   * @param {string} filePath - JSON file to load and save
+   * @param {object} defaults - Initial document when the file does not exist
+   */
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.data = { ...defaults };
+    this.saveTimer = null;
+    this.pendingWrite = null;
+
+    fs.ensureDirSync(path.dirname(this.filePath));
+    this.load(defaults);
+  }
+
+  /**
+   * Load document from disk
+   * @param {object} defaults - Fields to fill in when missing from the file
+   */
+  load(defaults) {
+    try {
+      if (fs.pathExistsSync(this.filePath)) {
+        this.data = { ...defaults, ...fs.readJsonSync(this.filePath) };
+      }
+    } catch (error) {
+      logger.warn(`Could not load ${this.filePath}, starting empty: ${error.message}`);
+    }
+  }
+
+  /**
+   * Schedule a write (debounced)
+   */
+  save() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush().catch(error => {
+        logger.error(`Failed to write ${this.filePath}`, error);
+      });
+    }, 1000);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write document to disk now
+   * Writes are queued behind the one in flight, so a timer flush and an
+   * explicit flush never race on the same temp file
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const write = (this.pendingWrite || Promise.resolve())
+      .catch(() => {}) // The earlier write reported its own failure
+      .then(() => this.write());
+    this.pendingWrite = write;
+
+    try {
+      await write;
+    } finally {
+      if (this.pendingWrite === write) {
+        this.pendingWrite = null;
+      }
+    }
+  }
+
+  /**
+   * Replace the file with the current document through a temp file
+   * @returns {Promise<void>}
+   */
+  async write() {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeJSON(tempPath, this.data, { spaces: 2 });
+    await fs.move(tempPath, this.filePath, { overwrite: true });
+  }
+}
+
+module.exports = JsonStore;
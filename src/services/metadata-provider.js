@@ -0,0 +1,322 @@
+/**
+ * Base class for movie/series metadata providers
+ *
+ * Every provider returns the same normalized shapes so that AccountManager
+ * and CommandRouter never depend on a specific catalog's response format:
+ * - Search pages: { results, page, totalPages, totalResults } where results are
+ *   { index, id, title, year, rating, overview, adult } (people: { index, id, name,
+ *   department, knownFor }) and index is the 1-based position across all pages
+ * - Details: the object consumed by CommandRouter.formatDetailsCaption; movie
+ *   details also carry regionalReleaseDate (YYYY-MM-DD in the requested region),
+ *   series details lastEpisode/nextEpisode ({ seasonNumber, episodeNumber, name, airDate });
+ *   both carry certification (age rating in the requested region, or null), adult
+ *   and providers (provider names by offer type { flatrate, free, ads, rent, buy };
+ *   streaming repeats the flatrate names). Credits: cast (names) and castCredits
+ *   ({ name, character }), writers and composers; movies add directors, series creators
+ *
+ * Lookup methods take an optional locale object { region, language,
+ * trailerLanguages, includeAdult } resolved from the account/group
+ * configuration. Providers without regional data may ignore it.
+ *
+ * Subclasses must override every method that throws below.
+ */
+class MetadataProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Build a search page, numbering results across pages
+   * @param {object[]} items - Results on this page (without index)
+   * @param {number} page - 1-based page number
+   * @param {number} totalResults - Total results across all pages
+   * @returns {object} Search page { results, page, totalPages, totalResults }
+   */
+  paginate(items, page, totalResults) {
+    const start = (page - 1) * MetadataProvider.PAGE_SIZE;
+    return {
+      results: items.map((item, i) => ({ index: start + i + 1, ...item })),
+      page,
+      totalPages: Math.max(1, Math.ceil(totalResults / MetadataProvider.PAGE_SIZE)),
+      totalResults
+    };
+  }
+
+  /**
+   * Search for movies
+   * @param {string} query - Search query
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page of movie results
+   */
+  async searchMovie(query, options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement searchMovie`);
+  }
+
+  /**
+   * Search for TV series
+   * @param {string} query - Search query
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page of series results
+   */
+  async searchSeries(query, options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement searchSeries`);
+  }
+
+  /**
+   * Search for people (actors, directors, crew)
+   * @param {string} query - Search query
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page of person results
+   */
+  async searchPerson(query, options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement searchPerson`);
+  }
+
+  /**
+   * Search movies, series and people at once
+   * @param {string} query - Search query
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page of mixed results tagged with mediaType
+   */
+  async searchMulti(query, options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement searchMulti`);
+  }
+
+  /**
+   * Get trending titles (movies, series and people)
+   * @param {string} timeWindow - 'day' or 'week'
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of mixed results tagged with mediaType
+   */
+  async getTrending(timeWindow, options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement getTrending`);
+  }
+
+  /**
+   * Get popular movies
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of movie results tagged with mediaType
+   */
+  async getPopular(options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement getPopular`);
+  }
+
+  /**
+   * Get movies currently in theatres
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of movie results tagged with mediaType
+   */
+  async getNowPlaying(options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement getNowPlaying`);
+  }
+
+  /**
+   * Get upcoming movie releases
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of movie results tagged with mediaType, with releaseDate
+   */
+  async getUpcoming(options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement getUpcoming`);
+  }
+
+  /**
+   * Get titles recommended for a movie or series ("more like this")
+   * @param {string} type - 'movie' or 'series'
+   * @param {number|string} id - Provider movie/series ID
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of results tagged with mediaType
+   */
+  async getRecommendations(type, id, options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement getRecommendations`);
+  }
+
+  /**
+   * Get one page of the films in a collection (franchise), in release order
+   * @param {number|string} collectionId - Provider collection ID (details.collectionInfo.id)
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of movie results tagged with mediaType
+   */
+  async getCollection(collectionId, options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement getCollection`);
+  }
+
+  /**
+   * Get the genre list for movies or series
+   * @param {string} type - 'movie' or 'series'
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<object[]>} Genres { id, name }
+   */
+  async getGenres(type, options = {}) {
+    throw new Error(`${this.name} provider does not implement getGenres`);
+  }
+
+  /**
+   * Discover movies or series matching filters
+   * @param {object} filters - { type, genres, yearFrom, yearTo, minRating, maxRating, language, sort }
+   *   as returned by CommandRouter.parseDiscoverQuery, plus optional watchProviders (IDs from
+   *   getStreamingServices) to keep titles streaming on any of them in the region
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of results tagged with mediaType
+   */
+  async discover(filters, options = {}, page = 1) {
+    throw new Error(`${this.name} provider does not implement discover`);
+  }
+
+  /**
+   * Get where a title can be watched, in every region the provider knows
+   * @param {string} type - 'movie' or 'series'
+   * @param {number|string} id - Provider movie/series ID
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<object>} Offers by region code, each { flatrate, free, ads, rent, buy }
+   */
+  async getWatchProviders(type, id, options = {}) {
+    throw new Error(`${this.name} provider does not implement getWatchProviders`);
+  }
+
+  /**
+   * Get the streaming services known in a region
+   * @param {string} type - 'movie' or 'series'
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<object[]>} Services { id, name }, most prominent first
+   */
+  async getStreamingServices(type, options = {}) {
+    throw new Error(`${this.name} provider does not implement getStreamingServices`);
+  }
+
+  /**
+   * Get the certifications (age ratings) used in a region
+   * @param {string} type - 'movie' or 'series'
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<string[]>} Certifications from least to most restricted
+   */
+  async getCertifications(type, options = {}) {
+    throw new Error(`${this.name} provider does not implement getCertifications`);
+  }
+
+  /**
+   * Get a title's certification in a region
+   * @param {string} type - 'movie' or 'series'
+   * @param {number|string} id - Provider movie/series ID
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<string|null>} Certification, or null if unrated in the region
+   */
+  async getCertification(type, id, options = {}) {
+    throw new Error(`${this.name} provider does not implement getCertification`);
+  }
+
+  /**
+   * Find the movie or series an external ID (e.g. an IMDb ID) refers to
+   * IMDb episode IDs resolve to their series
+   * @param {string} externalId - External ID, e.g. 'tt1375666'
+   * @param {string} source - ID source, e.g. 'imdb_id'
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<object|null>} { id, type } with type 'movie' or 'series', or null if unknown
+   */
+  async findByExternalId(externalId, source = 'imdb_id', options = {}) {
+    throw new Error(`${this.name} provider does not implement findByExternalId`);
+  }
+
+  /**
+   * Get detailed movie information
+   * @param {number|string} movieId - Provider movie ID
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<object>} Movie details
+   */
+  async getMovieDetails(movieId, options = {}) {
+    throw new Error(`${this.name} provider does not implement getMovieDetails`);
+  }
+
+  /**
+   * Get detailed series information
+   * @param {number|string} seriesId - Provider series ID
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<object>} Series details
+   */
+  async getSeriesDetails(seriesId, options = {}) {
+    throw new Error(`${this.name} provider does not implement getSeriesDetails`);
+  }
+
+  /**
+   * Get a season of a series with its episode list
+   * @param {number|string} seriesId - Provider series ID
+   * @param {number} seasonNumber - Season number
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<object>} Season { seasonNumber, name, airDate, overview, poster,
+   *   episodes: [{ episodeNumber, name, airDate, rating, runtime }] }
+   */
+  async getSeasonDetails(seriesId, seasonNumber, options = {}) {
+    throw new Error(`${this.name} provider does not implement getSeasonDetails`);
+  }
+
+  /**
+   * Get detailed episode information
+   * @param {number|string} seriesId - Provider series ID
+   * @param {number} seasonNumber - Season number
+   * @param {number} episodeNumber - Episode number
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<object>} Episode { seasonNumber, episodeNumber, name, airDate, rating,
+   *   runtime, overview, still, directors, guestStars: [{ name, character }] }
+   */
+  async getEpisodeDetails(seriesId, seasonNumber, episodeNumber, options = {}) {
+    throw new Error(`${this.name} provider does not implement getEpisodeDetails`);
+  }
+
+  /**
+   * Get detailed person information
+   * @param {number|string} personId - Provider person ID
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @returns {Promise<object>} Person details
+   */
+  async getPersonDetails(personId, options = {}) {
+    throw new Error(`${this.name} provider does not implement getPersonDetails`);
+  }
+
+  /**
+   * Get one page of a person's filmography
+   * @param {number|string} personId - Provider person ID
+   * @param {object} options - Locale options { region, language, trailerLanguages }
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page of titles tagged with mediaType
+   */
+  async getPersonCredits(personId, options = {}, page = 1) {
+    const { credits } = await this.getPersonDetails(personId, options);
+    const start = (page - 1) * MetadataProvider.PAGE_SIZE;
+    return this.paginate(credits.slice(start, start + MetadataProvider.PAGE_SIZE), page, credits.length);
+  }
+
+  /**
+   * Download poster image
+   * @param {string} url - Poster URL or path returned in details
+   * @returns {Promise<Buffer|null>} Image buffer or null if unavailable
+   */
+  async downloadPoster(url) {
+    throw new Error(`${this.name} provider does not implement downloadPoster`);
+  }
+
+  /**
+   * Test provider connectivity
+   * @returns {Promise<object>} Test result { success, message }
+   */
+  async testConnection() {
+    return {
+      success: true,
+      message: `${this.name} provider ready`
+    };
+  }
+}
+
+// Results shown per search page
+MetadataProvider.PAGE_SIZE = 5;
+
+module.exports = MetadataProvider;
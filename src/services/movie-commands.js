@@ -0,0 +1,291 @@
+/**
+ * Movie bot command definitions (see CommandRegistry for the format)
+ *
+ * `category` groups commands in !help, in the order categories first appear.
+ *
+ * Handlers receive the AccountManager, the movie bot context
+ * ({ account, client, jid, userId, locale, settings, message }) and the
+ * parsed command with its argument values.
+ */
+module.exports = [
+  // Search
+  {
+    name: 'movie',
+    category: 'Search',
+    aliases: ['m'],
+    args: [{ name: 'query', type: 'text', required: true, label: 'title' }],
+    description: 'Search movies, or open one by IMDb/TMDB ID or link',
+    examples: ['movie Inception', 'movie tt1375666'],
+    handler: (bot, ctx, command) => bot.handleSearch(ctx, 'movie', command.query)
+  },
+  {
+    name: 'series',
+    category: 'Search',
+    aliases: ['s', 'tv'],
+    args: [{ name: 'query', type: 'text', required: true, label: 'title' }],
+    description: 'Search TV series, or open one by IMDb/TMDB ID or link',
+    examples: ['series Breaking Bad'],
+    handler: (bot, ctx, command) => bot.handleSearch(ctx, 'series', command.query)
+  },
+  {
+    name: 'find',
+    category: 'Search',
+    args: [{ name: 'query', type: 'text', required: true, label: 'text' }],
+    description: 'Search movies, series and people at once',
+    examples: ['find nolan'],
+    handler: (bot, ctx, command) => bot.handleSearch(ctx, 'multi', command.query)
+  },
+  {
+    name: 'actor',
+    category: 'Search',
+    aliases: ['person'],
+    args: [{ name: 'query', type: 'text', required: true, label: 'name' }],
+    description: 'Look up an actor or crew member and their filmography',
+    examples: ['actor Tom Hanks'],
+    handler: (bot, ctx, command) => bot.handleSearch(ctx, 'person', command.query)
+  },
+  {
+    name: 'discover',
+    category: 'Search',
+    args: [{ name: 'query', type: 'text', label: 'filters' }],
+    description: 'Find titles by genre, year, rating and language',
+    examples: ['discover horror 2019-2023 rating>7', 'discover tv comedy lang:ko sort:popular', 'discover thriller on:mine'],
+    handler: (bot, ctx, command) => bot.handleDiscover(ctx, command.query)
+  },
+  {
+    name: 'where',
+    category: 'Search',
+    args: [{ name: 'query', type: 'text', required: true, usage: '<title> [region…]' }],
+    description: 'Compare streaming, rent and buy options across regions',
+    examples: ['where Dune US GB IN', 'where Dark'],
+    handler: (bot, ctx, command) => bot.handleWhere(ctx, command.query)
+  },
+
+  // Browse lists
+  {
+    name: 'trending',
+    category: 'Browse',
+    args: [{ name: 'query', type: 'choice', choices: ['day', 'week'], default: 'day' }],
+    description: 'Trending movies and series',
+    examples: ['trending', 'trending week'],
+    handler: (bot, ctx, command) => bot.handleBrowse(ctx, 'trending', command.query)
+  },
+  {
+    name: 'popular',
+    category: 'Browse',
+    description: 'Popular movies in your region',
+    examples: ['popular'],
+    handler: (bot, ctx) => bot.handleBrowse(ctx, 'popular', null)
+  },
+  {
+    name: 'nowplaying',
+    category: 'Browse',
+    description: 'Movies in cinemas now',
+    examples: ['nowplaying'],
+    handler: (bot, ctx) => bot.handleBrowse(ctx, 'now_playing', null)
+  },
+  {
+    name: 'upcoming',
+    category: 'Browse',
+    description: 'Upcoming movie releases',
+    examples: ['upcoming'],
+    handler: (bot, ctx) => bot.handleBrowse(ctx, 'upcoming', null)
+  },
+
+  // Result paging
+  {
+    name: 'more',
+    category: 'Results',
+    description: 'Next page of your latest list',
+    examples: ['more'],
+    handler: (bot, ctx) => bot.handlePage(ctx, 1)
+  },
+  {
+    name: 'prev',
+    category: 'Results',
+    description: 'Previous page of your latest list',
+    examples: ['prev'],
+    handler: (bot, ctx) => bot.handlePage(ctx, -1)
+  },
+
+  // Follow-ups on the last opened title
+  {
+    name: 'similar',
+    category: 'After opening a title',
+    aliases: ['recommend'],
+    description: 'More like the title you last opened',
+    examples: ['similar'],
+    handler: (bot, ctx) => bot.sendRecommendations(ctx)
+  },
+  {
+    name: 'collection',
+    category: 'After opening a title',
+    description: 'All films in the opened movie\'s franchise',
+    examples: ['collection'],
+    handler: (bot, ctx) => bot.sendCollection(ctx)
+  },
+  {
+    name: 'season',
+    category: 'After opening a title',
+    args: [{ name: 'season', type: 'number', required: true, label: 'number' }],
+    description: 'Episode list of a season of the opened series',
+    examples: ['season 2'],
+    handler: (bot, ctx, command) => bot.sendSeason(ctx, command.season)
+  },
+  {
+    name: 'episode',
+    category: 'After opening a title',
+    aliases: ['ep'],
+    args: [{ name: 'episode', type: 'text', required: true, usage: '<season>x<episode>' }],
+    // Accepts 1x3, 1 3 and S01E03
+    parse: (args) => {
+      const match = args.match(/^s?(\d+)\s*(?:x|e|\s)\s*(\d+)$/i);
+      return {
+        season: match ? parseInt(match[1]) : null,
+        episode: match ? parseInt(match[2]) : null
+      };
+    },
+    description: 'Details of one episode of the opened series',
+    examples: ['episode 2x5', 'ep S02E05'],
+    handler: (bot, ctx, command) => bot.sendEpisode(ctx, command.season, command.episode)
+  },
+
+  // Watchlist
+  {
+    name: 'watchlist',
+    category: 'Watchlist',
+    aliases: ['wl'],
+    args: [
+      { name: 'action', type: 'choice', choices: ['view', 'add', 'remove', 'export'], aliases: { rm: 'remove' }, default: 'view' },
+      { name: 'value', type: 'number', label: 'number' }
+    ],
+    description: 'Your personal watchlist',
+    examples: ['watchlist add', 'watchlist add 3', 'watchlist remove 2', 'watchlist export'],
+    handler: (bot, ctx, command) => bot.handleWatchlist(ctx, command)
+  },
+  {
+    name: 'myservices',
+    category: 'Watchlist',
+    aliases: ['services'],
+    args: [{ name: 'services', type: 'text', usage: '[<service>, <service>, … | clear]' }],
+    parse: (args) => {
+      if (!args) {
+        return { action: 'view', services: [] };
+      }
+      if (args.toLowerCase() === 'clear') {
+        return { action: 'clear', services: [] };
+      }
+      return {
+        action: 'set',
+        services: args.split(',').map(service => service.trim()).filter(Boolean)
+      };
+    },
+    description: 'Set your streaming services so results show where you can watch',
+    examples: ['myservices netflix, prime, hotstar', 'myservices', 'myservices clear'],
+    handler: (bot, ctx, command) => bot.handleMyServices(ctx, command)
+  },
+
+  // Series follows
+  {
+    name: 'follow',
+    category: 'Series alerts',
+    description: 'Announce new episodes of the opened series in this chat',
+    examples: ['follow'],
+    cost: 0,
+    handler: (bot, ctx) => bot.handleFollow(ctx)
+  },
+  {
+    name: 'following',
+    category: 'Series alerts',
+    description: 'Series this chat follows',
+    examples: ['following'],
+    handler: (bot, ctx) => bot.sendFollowing(ctx)
+  },
+  {
+    name: 'unfollow',
+    category: 'Series alerts',
+    args: [{ name: 'value', type: 'number', label: 'number' }],
+    description: 'Stop following a series (or the opened one)',
+    examples: ['unfollow 1'],
+    cost: 0,
+    handler: (bot, ctx, command) => bot.handleUnfollow(ctx, command.value)
+  },
+
+  // Release reminders
+  {
+    name: 'remindme',
+    category: 'Release reminders',
+    description: 'Get the opened upcoming movie posted here on release day',
+    examples: ['remindme'],
+    cost: 0,
+    handler: (bot, ctx) => bot.handleRemindMe(ctx)
+  },
+  {
+    name: 'reminders',
+    category: 'Release reminders',
+    args: [
+      { name: 'action', type: 'choice', choices: ['list', 'cancel'], default: 'list' },
+      { name: 'value', type: 'number', label: 'number' }
+    ],
+    description: 'Your pending release reminders',
+    examples: ['reminders', 'reminders cancel 1'],
+    cost: 0,
+    handler: (bot, ctx, command) => bot.handleReminders(ctx, command)
+  },
+
+  // Availability alerts
+  {
+    name: 'notifyavailable',
+    category: 'Availability alerts',
+    aliases: ['notify'],
+    args: [{ name: 'value', type: 'number', label: 'watchlist number' }],
+    description: 'Get a private message when the opened title (or a watchlist entry) starts streaming',
+    examples: ['notifyavailable', 'notifyavailable 2'],
+    handler: (bot, ctx, command) => bot.handleNotifyAvailable(ctx, command.value)
+  },
+  {
+    name: 'alerts',
+    category: 'Availability alerts',
+    args: [
+      { name: 'action', type: 'choice', choices: ['list', 'cancel'], default: 'list' },
+      { name: 'value', type: 'number', label: 'number' }
+    ],
+    description: 'Your pending availability alerts',
+    examples: ['alerts', 'alerts cancel 1'],
+    cost: 0,
+    handler: (bot, ctx, command) => bot.handleAlerts(ctx, command)
+  },
+
+  // Movie night
+  {
+    name: 'movienight',
+    category: 'Movie night',
+    aliases: ['mn'],
+    args: [{ name: 'titles', type: 'text', usage: '[<title>, <title>, … | close]' }],
+    parse: (args) => {
+      if (!args) {
+        return { action: 'status', titles: [] };
+      }
+      if (args.toLowerCase() === 'close') {
+        return { action: 'close', titles: [] };
+      }
+      return {
+        action: 'create',
+        titles: args.split(',').map(title => title.trim()).filter(Boolean)
+      };
+    },
+    description: 'Poll the chat on what to watch',
+    examples: ['movienight Inception, Dune, Parasite', 'movienight', 'movienight close'],
+    handler: (bot, ctx, command) => bot.handleMovieNight(ctx, command)
+  },
+
+  // Help
+  {
+    name: 'help',
+    category: 'Help',
+    args: [{ name: 'topic', type: 'text', label: 'command' }],
+    description: 'List commands, or show how to use one',
+    examples: ['help', 'help watchlist'],
+    handler: (bot, ctx, command) => bot.sendHelp(ctx, command.topic)
+  }
+];
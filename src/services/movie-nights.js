@@ -0,0 +1,136 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+const { sanitizeJid } = require('../utils/helpers');
+
+// WhatsApp polls accept between 2 and 12 options
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 12;
+
+/**
+ * Movie-night polls for one account
+ *
+ * A chat runs at most one poll at a time. Each poll remembers who organised
+ * it (sanitized JID, so only they can close it early), the movies behind each
+ * option and the latest vote tally reported by WhatsApp.
+ * Stored in DATA_PATH/movienights/<accountId>.json.
+ */
+class MovieNightService {
+  constructor(accountId) {
+    this.accountId = accountId;
+    const dataPath = process.env.DATA_PATH || './data';
+    this.store = new JsonStore(path.join(dataPath, 'movienights', `${accountId}.json`), { polls: [] });
+  }
+
+  /**
+   * Get the open poll in a chat
+   * @param {string} chatJid - Chat JID
+   * @returns {object|null} Poll
+   */
+  getForChat(chatJid) {
+    return this.store.data.polls.find(poll => poll.chatJid === chatJid) || null;
+  }
+
+  /**
+   * Get a poll by its WhatsApp message ID
+   * @param {string} pollId - Poll message ID
+   * @returns {object|null} Poll
+   */
+  getByPollId(pollId) {
+    return this.store.data.polls.find(poll => poll.pollId === pollId) || null;
+  }
+
+  /**
+   * Check whether a user organised a poll
+   * @param {object} poll - Poll
+   * @param {string} jid - User JID (any device/domain form)
+   * @returns {boolean} True if the user created the poll
+   */
+  isOrganizer(poll, jid) {
+    return poll.organizerJid === sanitizeJid(jid);
+  }
+
+  /**
+   * Register a poll that was just sent
+   * @param {object} poll - { pollId, chatJid, organizerJid, options, locale, closesAt }
+   * @returns {object} Stored poll
+   */
+  add(poll) {
+    const entry = {
+      pollId: poll.pollId,
+      chatJid: poll.chatJid,
+      organizerJid: sanitizeJid(poll.organizerJid),
+      // [{ name, id, title, year }] in the order they appear in the poll
+      options: poll.options,
+      votes: {},
+      locale: poll.locale,
+      createdAt: new Date().toISOString(),
+      closesAt: poll.closesAt
+    };
+
+    this.store.data.polls.push(entry);
+    this.store.save();
+
+    return entry;
+  }
+
+  /**
+   * Store the latest tally for a poll
+   * @param {string} pollId - Poll message ID
+   * @param {object[]} tally - [{ name, voters }] as reported by the client
+   * @returns {object|null} Updated poll
+   */
+  recordVotes(pollId, tally) {
+    const poll = this.getByPollId(pollId);
+    if (!poll) return null;
+
+    poll.votes = {};
+    for (const option of tally) {
+      poll.votes[option.name] = option.voters.length;
+    }
+    this.store.save();
+
+    return poll;
+  }
+
+  /**
+   * Get options with their vote counts, most votes first
+   * Ties keep the order the titles were listed in
+   * @param {object} poll - Poll
+   * @returns {object[]} Options with a votes count
+   */
+  getStandings(poll) {
+    return poll.options
+      .map((option, index) => ({ ...option, votes: poll.votes[option.name] || 0, index }))
+      .sort((a, b) => b.votes - a.votes || a.index - b.index);
+  }
+
+  /**
+   * Get all open polls
+   * @returns {object[]} Polls
+   */
+  getAll() {
+    return [...this.store.data.polls];
+  }
+
+  /**
+   * Remove a poll (closed)
+   * @param {string} pollId - Poll message ID
+   */
+  remove(pollId) {
+    this.store.data.polls = this.store.data.polls.filter(poll => poll.pollId !== pollId);
+    this.store.save();
+  }
+
+  /**
+   * Write pending changes to disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.store.flush();
+  }
+}
+
+MovieNightService.MIN_OPTIONS = MIN_OPTIONS;
+MovieNightService.MAX_OPTIONS = MAX_OPTIONS;
+
+module.exports = MovieNightService;
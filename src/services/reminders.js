@@ -0,0 +1,126 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+const { sanitizeJid, generateId } = require('../utils/helpers');
+
+// Pending reminders a single user may hold
+const MAX_REMINDERS_PER_USER = 20;
+
+/**
+ * Release-date reminders for one account
+ *
+ * Each reminder remembers who asked (sanitized sender JID), the chat to
+ * notify (the group or private chat it was requested in) and the locale
+ * used to look up the regional release date.
+ * Stored in DATA_PATH/reminders/<accountId>.json.
+ */
+class ReminderService {
+  constructor(accountId) {
+    this.accountId = accountId;
+    const dataPath = process.env.DATA_PATH || './data';
+    this.store = new JsonStore(path.join(dataPath, 'reminders', `${accountId}.json`), { reminders: [] });
+  }
+
+  /**
+   * Get a user's pending reminders, soonest first
+   * @param {string} jid - User JID (any device/domain form)
+   * @returns {object[]} Reminders
+   */
+  getForUser(jid) {
+    const userJid = sanitizeJid(jid);
+    return this.store.data.reminders
+      .filter(reminder => reminder.userJid === userJid)
+      .sort((a, b) => a.releaseDate.localeCompare(b.releaseDate));
+  }
+
+  /**
+   * Register a reminder
+   * @param {string} jid - Requesting user's JID
+   * @param {string} chatJid - Chat to notify
+   * @param {object} movie - { id, title, releaseDate }
+   * @param {object} locale - Locale options used for the release date
+   * @returns {object} { added, reason }
+   */
+  add(jid, chatJid, movie, locale) {
+    const userJid = sanitizeJid(jid);
+    const existing = this.getForUser(userJid);
+
+    if (existing.some(reminder => String(reminder.movieId) === String(movie.id) && reminder.chatJid === chatJid)) {
+      return { added: false, reason: 'duplicate' };
+    }
+
+    if (existing.length >= MAX_REMINDERS_PER_USER) {
+      return { added: false, reason: 'full' };
+    }
+
+    this.store.data.reminders.push({
+      id: generateId(),
+      userJid,
+      chatJid,
+      movieId: movie.id,
+      title: movie.title,
+      releaseDate: movie.releaseDate,
+      locale,
+      createdAt: new Date().toISOString()
+    });
+    this.store.save();
+
+    return { added: true, reason: null };
+  }
+
+  /**
+   * Cancel a reminder by its 1-based position in the user's list
+   * @param {string} jid - User JID
+   * @param {number} position - Position shown by !reminders
+   * @returns {object|null} Cancelled reminder
+   */
+  cancel(jid, position) {
+    const reminder = this.getForUser(jid)[position - 1];
+    if (!reminder) return null;
+
+    this.remove(reminder.id);
+    return reminder;
+  }
+
+  /**
+   * Get reminders whose release date has been reached
+   * @param {Function} getToday - (reminder) => current date (YYYY-MM-DD) where its chat is
+   * @returns {object[]} Due reminders
+   */
+  getDue(getToday) {
+    return this.store.data.reminders.filter(reminder => reminder.releaseDate <= getToday(reminder));
+  }
+
+  /**
+   * Move a reminder to a new release date (release was postponed)
+   * @param {string} id - Reminder ID
+   * @param {string} releaseDate - New release date (YYYY-MM-DD)
+   */
+  reschedule(id, releaseDate) {
+    const reminder = this.store.data.reminders.find(r => r.id === id);
+    if (!reminder) return;
+
+    reminder.releaseDate = releaseDate;
+    this.store.save();
+  }
+
+  /**
+   * Remove a reminder (delivered or cancelled)
+   * @param {string} id - Reminder ID
+   */
+  remove(id) {
+    this.store.data.reminders = this.store.data.reminders.filter(reminder => reminder.id !== id);
+    this.store.save();
+  }
+
+  /**
+   * Write pending changes to disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.store.flush();
+  }
+}
+
+ReminderService.MAX_PER_USER = MAX_REMINDERS_PER_USER;
+
+module.exports = ReminderService;
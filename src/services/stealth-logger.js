@@ -2,7 +2,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const mime = require('mime-types');
 const logger = require('../utils/logger');
-const { formatTimestamp, maskPhoneNumber, generateId, cleanOldFiles, matchesGroupName, getMessageContent } = require('../utils/helpers');
+const { formatTimestamp, maskPhoneNumber, generateId, cleanOldFiles, matchesGroupName, getMessageContent, sanitizeJid } = require('../utils/helpers');
 
 // Pino-compatible silent logger for Baileys media download
 const silentLogger = {
@@ -87,12 +87,7 @@ class StealthLoggerService {
    * @returns {string} Clean JID (e.g., 12345@s.whatsapp.net)
    */
   sanitizeJid(jid) {
-    if (!jid) return '';
-    // 1. Split by '@' to remove domain (@lid or @s.whatsapp.net)
-    // 2. Split by ':' to remove device ID (:2, :55)
-    // 3. Force add the standard phone domain
-    const number = jid.split('@')[0].split(':')[0];
-    return number + '@s.whatsapp.net';
+    return sanitizeJid(jid);
   }
 
   /**
@@ -0,0 +1,69 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+const { sanitizeJid } = require('../utils/helpers');
+
+// Services a single user may declare
+const MAX_SERVICES_PER_USER = 15;
+
+/**
+ * Per-user streaming subscriptions (!myservices) for one account
+ *
+ * Services are stored under the provider's names for them (e.g.
+ * "Amazon Prime Video"), keyed by the sanitized sender JID.
+ * Stored in DATA_PATH/subscriptions/<accountId>.json.
+ */
+class SubscriptionService {
+  constructor(accountId) {
+    this.accountId = accountId;
+    const dataPath = process.env.DATA_PATH || './data';
+    this.store = new JsonStore(path.join(dataPath, 'subscriptions', `${accountId}.json`), { users: {} });
+  }
+
+  /**
+   * Get a user's services
+   * @param {string} jid - User JID (any device/domain form)
+   * @returns {string[]} Service names
+   */
+  get(jid) {
+    return [...(this.store.data.users[sanitizeJid(jid)] || [])];
+  }
+
+  /**
+   * Replace a user's services
+   * @param {string} jid - User JID
+   * @param {string[]} services - Service names (extra entries past the limit are dropped)
+   * @returns {string[]} Saved service names
+   */
+  set(jid, services) {
+    const saved = Array.from(new Set(services)).slice(0, MAX_SERVICES_PER_USER);
+    this.store.data.users[sanitizeJid(jid)] = saved;
+    this.store.save();
+    return [...saved];
+  }
+
+  /**
+   * Forget a user's services
+   * @param {string} jid - User JID
+   * @returns {boolean} True if the user had any
+   */
+  clear(jid) {
+    const key = sanitizeJid(jid);
+    if (!this.store.data.users[key]) return false;
+
+    delete this.store.data.users[key];
+    this.store.save();
+    return true;
+  }
+
+  /**
+   * Write pending changes to disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.store.flush();
+  }
+}
+
+SubscriptionService.MAX_PER_USER = MAX_SERVICES_PER_USER;
+
+module.exports = SubscriptionService;
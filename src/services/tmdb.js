@@ -1,15 +1,39 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { retryWithBackoff, sleep } = require('../utils/helpers');
+const MetadataProvider = require('./metadata-provider');
+const DiskCache = require('./disk-cache');
 
-class TMDBService {
+// TMDB list endpoints return 20 results per page and stop at page 500
+const TMDB_PAGE_SIZE = 20;
+const TMDB_MAX_RESULTS = TMDB_PAGE_SIZE * 500;
+
+// Watch provider offer types (subscription, free, free with ads, rent, buy)
+const OFFER_TYPES = ['flatrate', 'free', 'ads', 'rent', 'buy'];
+
+// Crew credited in details captions (writers are capped, screenplay/story/novel credits add up)
+const COMPOSER_JOBS = ['Original Music Composer', 'Music'];
+const MAX_WRITERS = 3;
+
+class TMDBService extends MetadataProvider {
   constructor() {
+    super('TMDB');
     this.apiKey = process.env.TMDB_API_KEY;
     this.baseURL = 'https://api.themoviedb.org/3';
     this.timeout = parseInt(process.env.TIMEOUT) || 20000;
     this.maxRetries = parseInt(process.env.MAX_RETRIES) || 10;
-    this.cache = new Map();
-    this.cacheExpiry = 3600000; // 1 hour
+    this.cache = new DiskCache({
+      directory: process.env.TMDB_CACHE_PATH || './cache/tmdb',
+      ttls: {
+        search: parseInt(process.env.TMDB_CACHE_SEARCH_TTL) || 21600000, // 6 hours
+        details: parseInt(process.env.TMDB_CACHE_DETAILS_TTL) || 86400000, // 24 hours
+        providers: parseInt(process.env.TMDB_CACHE_PROVIDERS_TTL) || 3600000, // 1 hour
+        poster: parseInt(process.env.TMDB_CACHE_POSTER_TTL) || 604800000 // 7 days
+      },
+      staleTtl: parseInt(process.env.TMDB_CACHE_STALE_TTL) || 86400000, // 24 hours
+      maxEntries: parseInt(process.env.TMDB_CACHE_MAX_ENTRIES) || 5000,
+      maxBytes: parseInt(process.env.TMDB_CACHE_MAX_BYTES) || 209715200 // 200 MB
+    });
     
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -20,6 +44,55 @@ class TMDBService {
     });
   }
 
+  /**
+   * Resolve locale options with defaults
+   * Without any configuration this matches the original behaviour
+   * (Indian region, English metadata, Hindi/Bengali/English trailers)
+   * @param {object} options - Locale options
+   * @param {string} options.region - ISO 3166-1 region code (e.g. 'IN', 'US')
+   * @param {string} options.language - Metadata language (e.g. 'en-US', 'ko-KR')
+   * @param {string[]} options.trailerLanguages - ISO 639-1 codes in priority order
+   * @param {boolean} options.includeAdult - Include adult titles in searches (contentPolicy.allowAdult)
+   * @returns {object} Resolved { region, language, trailerLanguages, includeAdult }
+   */
+  resolveLocale(options = {}) {
+    const region = (options.region || 'IN').toUpperCase();
+    const language = options.language || 'en-US';
+    let trailerLanguages = options.trailerLanguages;
+    if (!trailerLanguages || trailerLanguages.length === 0) {
+      trailerLanguages = options.language
+        ? Array.from(new Set([language.split('-')[0], 'en']))
+        : ['hi', 'bn', 'en'];
+    }
+    return { region, language, trailerLanguages, includeAdult: Boolean(options.includeAdult) };
+  }
+
+  /**
+   * Pick the best YouTube trailer by language priority
+   * @param {object[]} videoResults - TMDB video results
+   * @param {string[]} trailerLanguages - ISO 639-1 codes in priority order
+   * @returns {object|undefined} Trailer video
+   */
+  pickTrailer(videoResults, trailerLanguages) {
+    const trailers = videoResults.filter(v => v.type === 'Trailer' && v.site === 'YouTube');
+    for (const lang of trailerLanguages) {
+      const trailer = trailers.find(v => v.iso_639_1 === lang);
+      if (trailer) return trailer;
+    }
+    return trailers[0];
+  }
+
+  /**
+   * Build JustWatch search-friendly link for a title
+   * @param {string} type - 'movie' or 'tv-show'
+   * @param {string} title - Title
+   * @param {string} region - ISO 3166-1 region code
+   * @returns {string} JustWatch URL
+   */
+  getJustWatchLink(type, title, region) {
+    return `https://www.justwatch.com/${region.toLowerCase()}/${type}/${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+  }
+
   /**
    * Get country flag emoji from ISO code
    * @param {string} isoCode - Two-letter country ISO code
@@ -34,103 +107,661 @@ class TMDBService {
     return String.fromCodePoint(...codePoints);
   }
 
+  /**
+   * Find a movie's release date in a region
+   * Prefers the earliest theatrical release, then the earliest digital/physical/TV one
+   * @param {object[]} releaseDateResults - TMDB release_dates results
+   * @param {string} region - ISO 3166-1 region code
+   * @returns {string|null} Date (YYYY-MM-DD) or null if the region has none
+   */
+  getRegionalReleaseDate(releaseDateResults, region) {
+    const country = (releaseDateResults || []).find(r => r.iso_3166_1 === region);
+    if (!country) return null;
+
+    // Release types: 1 premiere, 2 limited theatrical, 3 theatrical, 4 digital, 5 physical, 6 TV
+    const dates = country.release_dates
+      .filter(r => r.type >= 2 && r.release_date)
+      .sort((a, b) => a.release_date.localeCompare(b.release_date));
+    const release = dates.find(r => r.type <= 3) || dates[0];
+
+    return release ? release.release_date.split('T')[0] : null;
+  }
+
+  /**
+   * Find a movie's certification (age rating) in a region
+   * Prefers the theatrical release's certification
+   * @param {object[]} releaseDateResults - TMDB release_dates results
+   * @param {string} region - ISO 3166-1 region code
+   * @returns {string|null} Certification (e.g. 'UA', 'PG-13') or null if unrated there
+   */
+  getRegionalCertification(releaseDateResults, region) {
+    const country = (releaseDateResults || []).find(r => r.iso_3166_1 === region);
+    if (!country) return null;
+
+    const rated = country.release_dates.filter(r => r.certification);
+    const release = rated.find(r => r.type === 3) || rated[0];
+    return release ? release.certification : null;
+  }
+
+  /**
+   * Find a series' content rating in a region
+   * @param {object[]} contentRatingResults - TMDB content_ratings results
+   * @param {string} region - ISO 3166-1 region code
+   * @returns {string|null} Rating (e.g. 'U/A 13+', 'TV-MA') or null if unrated there
+   */
+  getRegionalContentRating(contentRatingResults, region) {
+    const country = (contentRatingResults || []).find(r => r.iso_3166_1 === region);
+    return country?.rating || null;
+  }
+
+  /**
+   * Group one region's TMDB watch providers by offer type
+   * @param {object|undefined} regionProviders - TMDB watch/providers entry for a region
+   * @returns {object} Provider names by offer type { flatrate, free, ads, rent, buy }
+   */
+  mapWatchProviders(regionProviders) {
+    const offers = {};
+    for (const type of OFFER_TYPES) {
+      offers[type] = (regionProviders?.[type] || []).map(p => p.provider_name);
+    }
+    return offers;
+  }
+
+  /**
+   * Pick the credits shown in details captions
+   * @param {object} credits - TMDB credits response { cast, crew }
+   * @returns {object} { directors, writers, composers, castCredits: [{ name, character }] }
+   */
+  mapCredits(credits) {
+    const crew = credits.crew || [];
+    const names = members => Array.from(new Set(members.map(member => member.name)));
+
+    return {
+      directors: names(crew.filter(member => member.job === 'Director')),
+      writers: names(crew.filter(member => member.department === 'Writing')).slice(0, MAX_WRITERS),
+      composers: names(crew.filter(member => COMPOSER_JOBS.includes(member.job))),
+      castCredits: (credits.cast || []).slice(0, 5).map(actor => ({
+        name: actor.name,
+        character: actor.character || null
+      }))
+    };
+  }
+
   /**
    * Get cached result or fetch new
+   * @param {string} kind - Cache kind ('search', 'details' or 'poster')
    * @param {string} key - Cache key
    * @param {Function} fetchFn - Function to fetch if not cached
    * @returns {Promise<any>} Result
    */
-  async getCached(key, fetchFn) {
-    const cached = this.cache.get(key);
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-      logger.debug(`TMDB cache hit: ${key}`);
-      return cached.data;
-    }
+  async getCached(kind, key, fetchFn) {
+    return this.cache.get(kind, key, fetchFn);
+  }
 
-    const data = await fetchFn();
-    this.cache.set(key, { data, timestamp: Date.now() });
-    
-    // Clean old cache entries
-    if (this.cache.size > 1000) {
-      const oldestKeys = Array.from(this.cache.entries())
-        .sort((a, b) => a[1].timestamp - b[1].timestamp)
-        .slice(0, 500)
-        .map(([key]) => key);
-      oldestKeys.forEach(key => this.cache.delete(key));
+  /**
+   * Get cache statistics
+   * @returns {object} Cache stats with hit/miss ratios
+   */
+  getStats() {
+    return this.cache.getStats();
+  }
+
+  /**
+   * Remove every cached lookup
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clearCache() {
+    const removed = await this.cache.clear();
+    logger.info(`TMDB cache cleared (${removed} entries)`);
+    return removed;
+  }
+
+  /**
+   * Map a TMDB movie list item to a search result
+   * @param {object} movie - TMDB movie
+   * @returns {object} Search result (without index)
+   */
+  mapMovieResult(movie) {
+    return {
+      id: movie.id,
+      title: movie.title,
+      year: movie.release_date ? movie.release_date.split('-')[0] : 'N/A',
+      rating: movie.vote_average || 'N/A',
+      overview: movie.overview || 'No overview available',
+      adult: Boolean(movie.adult)
+    };
+  }
+
+  /**
+   * Map a TMDB TV list item to a search result
+   * @param {object} series - TMDB series
+   * @returns {object} Search result (without index)
+   */
+  mapSeriesResult(series) {
+    return {
+      id: series.id,
+      title: series.name,
+      year: series.first_air_date ? series.first_air_date.split('-')[0] : 'N/A',
+      rating: series.vote_average || 'N/A',
+      overview: series.overview || 'No overview available',
+      adult: Boolean(series.adult)
+    };
+  }
+
+  /**
+   * Map a TMDB person list item to a person result
+   * @param {object} person - TMDB person
+   * @returns {object} Person result (without index)
+   */
+  mapPersonResult(person) {
+    return {
+      id: person.id,
+      name: person.name,
+      department: person.known_for_department || 'N/A',
+      knownFor: (person.known_for || []).map(item => item.title || item.name).filter(Boolean)
+    };
+  }
+
+  /**
+   * Map a TMDB multi-search item to a result tagged with its media type
+   * @param {object} item - TMDB movie, TV or person item
+   * @returns {object} Result (without index)
+   */
+  mapMultiResult(item) {
+    if (item.media_type === 'movie') {
+      return { ...this.mapMovieResult(item), mediaType: 'movie' };
     }
-    
-    return data;
+    if (item.media_type === 'tv') {
+      return { ...this.mapSeriesResult(item), mediaType: 'series' };
+    }
+    return {
+      ...this.mapPersonResult(item),
+      title: item.name,
+      year: 'N/A',
+      rating: 'N/A',
+      mediaType: 'person'
+    };
   }
 
   /**
-   * Search for movies
-   * @param {string} query - Search query
-   * @returns {Promise<object[]>} Top 5 movie results
+   * Map a TMDB episode summary (last/next_episode_to_air)
+   * @param {object|null} episode - TMDB episode summary
+   * @returns {object|null} { seasonNumber, episodeNumber, name, airDate }
    */
-  async searchMovie(query) {
-    const cacheKey = `movie:${query.toLowerCase()}`;
-    
-    return this.getCached(cacheKey, async () => {
+  mapEpisodeSummary(episode) {
+    if (!episode) return null;
+    return {
+      seasonNumber: episode.season_number,
+      episodeNumber: episode.episode_number,
+      name: episode.name || `Episode ${episode.episode_number}`,
+      airDate: episode.air_date || null
+    };
+  }
+
+  /**
+   * Fetch one bot page from a paginated TMDB list endpoint
+   * TMDB returns 20 results per page while the bot shows PAGE_SIZE at a time,
+   * so whole TMDB pages are cached and sliced
+   * @param {string} cacheKey - Cache key prefix for this list
+   * @param {string} endpoint - TMDB endpoint (e.g. '/search/movie')
+   * @param {object} params - Query parameters (without api_key and page)
+   * @param {number} page - 1-based bot page number
+   * @param {Function} mapFn - Maps a TMDB item to a result
+   * @returns {Promise<object>} Search page
+   */
+  async getPagedList(cacheKey, endpoint, params, page, mapFn) {
+    const start = (page - 1) * MetadataProvider.PAGE_SIZE;
+    const tmdbPage = Math.floor(start / TMDB_PAGE_SIZE) + 1;
+    const offset = start % TMDB_PAGE_SIZE;
+
+    const data = await this.getCached('search', `${cacheKey}:p${tmdbPage}`, async () => {
       return retryWithBackoff(async () => {
-        logger.movie(`Searching movie: ${query}`);
-        
-        const response = await this.client.get('/search/movie', {
+        const response = await this.client.get(endpoint, {
           params: {
             api_key: this.apiKey,
-            query: query,
-            language: 'en-US',
-            page: 1,
-            region: 'IN'
+            ...params,
+            page: tmdbPage
           }
         });
 
-        const results = response.data.results.slice(0, 5).map((movie, index) => ({
-          index: index + 1,
-          id: movie.id,
-          title: movie.title,
-          year: movie.release_date ? movie.release_date.split('-')[0] : 'N/A',
-          rating: movie.vote_average || 'N/A',
-          overview: movie.overview || 'No overview available'
-        }));
-
-        logger.success(`Found ${results.length} movies for: ${query}`);
-        return results;
+        return {
+          results: response.data.results.map(mapFn),
+          totalResults: response.data.total_results || 0
+        };
       }, this.maxRetries, 1000);
     });
+
+    return this.paginate(
+      data.results.slice(offset, offset + MetadataProvider.PAGE_SIZE),
+      page,
+      Math.min(data.totalResults, TMDB_MAX_RESULTS)
+    );
+  }
+
+  /**
+   * Search for movies
+   * @param {string} query - Search query
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page of movie results
+   */
+  async searchMovie(query, options = {}, page = 1) {
+    const { region, language, includeAdult } = this.resolveLocale(options);
+    logger.movie(`Searching movie: ${query} (page ${page})`);
+
+    const results = await this.getPagedList(
+      `movie:${region}:${language}:${includeAdult ? 'adult:' : ''}${query.toLowerCase()}`,
+      '/search/movie',
+      { query, language, region, include_adult: includeAdult },
+      page,
+      movie => this.mapMovieResult(movie)
+    );
+
+    logger.success(`Found ${results.totalResults} movies for: ${query}`);
+    return results;
   }
 
   /**
    * Search for TV series
    * @param {string} query - Search query
-   * @returns {Promise<object[]>} Top 5 series results
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page of series results
    */
-  async searchSeries(query) {
-    const cacheKey = `series:${query.toLowerCase()}`;
-    
-    return this.getCached(cacheKey, async () => {
+  async searchSeries(query, options = {}, page = 1) {
+    const { language, includeAdult } = this.resolveLocale(options);
+    logger.movie(`Searching series: ${query} (page ${page})`);
+
+    const results = await this.getPagedList(
+      `series:${language}:${includeAdult ? 'adult:' : ''}${query.toLowerCase()}`,
+      '/search/tv',
+      { query, language, include_adult: includeAdult },
+      page,
+      series => this.mapSeriesResult(series)
+    );
+
+    logger.success(`Found ${results.totalResults} series for: ${query}`);
+    return results;
+  }
+
+  /**
+   * Search for people
+   * @param {string} query - Search query
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page of person results
+   */
+  async searchPerson(query, options = {}, page = 1) {
+    const { language, includeAdult } = this.resolveLocale(options);
+    logger.movie(`Searching person: ${query} (page ${page})`);
+
+    const results = await this.getPagedList(
+      `person:${language}:${includeAdult ? 'adult:' : ''}${query.toLowerCase()}`,
+      '/search/person',
+      { query, language, include_adult: includeAdult },
+      page,
+      person => this.mapPersonResult(person)
+    );
+
+    logger.success(`Found ${results.totalResults} people for: ${query}`);
+    return results;
+  }
+
+  /**
+   * Search movies, series and people at once
+   * @param {string} query - Search query
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Search page of mixed results
+   */
+  async searchMulti(query, options = {}, page = 1) {
+    const { region, language, includeAdult } = this.resolveLocale(options);
+    logger.movie(`Multi-search: ${query} (page ${page})`);
+
+    const results = await this.getPagedList(
+      `multi:${region}:${language}:${includeAdult ? 'adult:' : ''}${query.toLowerCase()}`,
+      '/search/multi',
+      { query, language, region, include_adult: includeAdult },
+      page,
+      item => this.mapMultiResult(item)
+    );
+
+    logger.success(`Found ${results.totalResults} results for: ${query}`);
+    return results;
+  }
+
+  /**
+   * Get trending movies, series and people
+   * TMDB trending charts are global; the locale only sets the language
+   * @param {string} timeWindow - 'day' or 'week'
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of mixed results
+   */
+  async getTrending(timeWindow, options = {}, page = 1) {
+    const { language } = this.resolveLocale(options);
+    logger.movie(`Fetching trending (${timeWindow}, page ${page})`);
+
+    return this.getPagedList(
+      `trending:${timeWindow}:${language}`,
+      `/trending/all/${timeWindow}`,
+      { language },
+      page,
+      item => this.mapMultiResult(item)
+    );
+  }
+
+  /**
+   * Get popular movies in the region
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of movie results
+   */
+  async getPopular(options = {}, page = 1) {
+    const { region, language } = this.resolveLocale(options);
+    logger.movie(`Fetching popular movies (${region}, page ${page})`);
+
+    return this.getPagedList(
+      `popular:${region}:${language}`,
+      '/movie/popular',
+      { language, region },
+      page,
+      movie => ({ ...this.mapMovieResult(movie), mediaType: 'movie' })
+    );
+  }
+
+  /**
+   * Get movies currently in theatres in the region
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of movie results
+   */
+  async getNowPlaying(options = {}, page = 1) {
+    const { region, language } = this.resolveLocale(options);
+    logger.movie(`Fetching now playing movies (${region}, page ${page})`);
+
+    return this.getPagedList(
+      `now-playing:${region}:${language}`,
+      '/movie/now_playing',
+      { language, region },
+      page,
+      movie => ({ ...this.mapMovieResult(movie), mediaType: 'movie' })
+    );
+  }
+
+  /**
+   * Get upcoming movie releases in the region
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of movie results with releaseDate
+   */
+  async getUpcoming(options = {}, page = 1) {
+    const { region, language } = this.resolveLocale(options);
+    logger.movie(`Fetching upcoming movies (${region}, page ${page})`);
+
+    return this.getPagedList(
+      `upcoming:${region}:${language}`,
+      '/movie/upcoming',
+      { language, region },
+      page,
+      movie => ({ ...this.mapMovieResult(movie), mediaType: 'movie', releaseDate: movie.release_date || null })
+    );
+  }
+
+  /**
+   * Get titles recommended for a movie or series
+   * @param {string} type - 'movie' or 'series'
+   * @param {number} id - TMDB movie/series ID
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of results tagged with mediaType
+   */
+  async getRecommendations(type, id, options = {}, page = 1) {
+    const { language } = this.resolveLocale(options);
+    logger.movie(`Fetching recommendations for ${type} ${id} (page ${page})`);
+
+    const endpoint = type === 'movie' ? `/movie/${id}/recommendations` : `/tv/${id}/recommendations`;
+    return this.getPagedList(
+      `recommendations:${type}:${id}:${language}`,
+      endpoint,
+      { language },
+      page,
+      item => (type === 'movie'
+        ? { ...this.mapMovieResult(item), mediaType: 'movie' }
+        : { ...this.mapSeriesResult(item), mediaType: 'series' })
+    );
+  }
+
+  /**
+   * Get one page of the films in a collection, in release order
+   * Collections are returned whole by TMDB, so the full list is cached and sliced
+   * @param {number} collectionId - TMDB collection ID
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of movie results
+   */
+  async getCollection(collectionId, options = {}, page = 1) {
+    const { language } = this.resolveLocale(options);
+
+    const parts = await this.getCached('details', `collection:${collectionId}:${language}`, async () => {
       return retryWithBackoff(async () => {
-        logger.movie(`Searching series: ${query}`);
-        
-        const response = await this.client.get('/search/tv', {
-          params: {
-            api_key: this.apiKey,
-            query: query,
-            language: 'en-US',
-            page: 1
-          }
+        logger.movie(`Fetching collection: ${collectionId}`);
+
+        const response = await this.client.get(`/collection/${collectionId}`, {
+          params: { api_key: this.apiKey, language }
         });
 
-        const results = response.data.results.slice(0, 5).map((series, index) => ({
-          index: index + 1,
-          id: series.id,
-          title: series.name,
-          year: series.first_air_date ? series.first_air_date.split('-')[0] : 'N/A',
-          rating: series.vote_average || 'N/A',
-          overview: series.overview || 'No overview available'
-        }));
+        // Unannounced (undated) films sort last
+        return (response.data.parts || [])
+          .map(movie => ({ ...this.mapMovieResult(movie), mediaType: 'movie', releaseDate: movie.release_date || '' }))
+          .sort((a, b) => (a.releaseDate || '9999').localeCompare(b.releaseDate || '9999'));
+      }, this.maxRetries, 1000);
+    });
+
+    const start = (page - 1) * MetadataProvider.PAGE_SIZE;
+    return this.paginate(parts.slice(start, start + MetadataProvider.PAGE_SIZE), page, parts.length);
+  }
 
-        logger.success(`Found ${results.length} series for: ${query}`);
-        return results;
+  /**
+   * Get the genre list for movies or series
+   * @param {string} type - 'movie' or 'series'
+   * @param {object} options - Locale options (see resolveLocale)
+   * @returns {Promise<object[]>} Genres { id, name }
+   */
+  async getGenres(type, options = {}) {
+    const { language } = this.resolveLocale(options);
+
+    return this.getCached('details', `genres:${type}:${language}`, async () => {
+      return retryWithBackoff(async () => {
+        logger.movie(`Fetching ${type} genres`);
+
+        const response = await this.client.get(type === 'movie' ? '/genre/movie/list' : '/genre/tv/list', {
+          params: { api_key: this.apiKey, language }
+        });
+        return response.data.genres.map(genre => ({ id: genre.id, name: genre.name }));
+      }, this.maxRetries, 1000);
+    });
+  }
+
+  /**
+   * Discover movies or series matching filters
+   * @param {object} filters - Parsed !discover filters
+   * @param {object} options - Locale options (see resolveLocale)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<object>} Page of results tagged with mediaType
+   */
+  async discover(filters, options = {}, page = 1) {
+    const { region, language, includeAdult } = this.resolveLocale(options);
+    const isMovie = filters.type === 'movie';
+    const dateField = isMovie ? 'primary_release_date' : 'first_air_date';
+    const sortBy = {
+      popular: 'popularity.desc',
+      rating: 'vote_average.desc',
+      newest: `${dateField}.desc`,
+      oldest: `${dateField}.asc`
+    }[filters.sort];
+
+    const params = { language, sort_by: sortBy, include_adult: includeAdult };
+    if (isMovie) params.region = region;
+    if (filters.genres.length > 0) params.with_genres = filters.genres.join(',');
+    if (filters.yearFrom) params[`${dateField}.gte`] = `${filters.yearFrom}-01-01`;
+    if (filters.yearTo) params[`${dateField}.lte`] = `${filters.yearTo}-12-31`;
+    if (filters.language) params.with_original_language = filters.language;
+    if (filters.minRating !== null) params['vote_average.gte'] = filters.minRating;
+    if (filters.maxRating !== null) params['vote_average.lte'] = filters.maxRating;
+    if (filters.watchProviders && filters.watchProviders.length > 0) {
+      params.with_watch_providers = filters.watchProviders.join('|');
+      params.watch_region = region;
+      params.with_watch_monetization_types = 'flatrate';
+    }
+
+    // Skip barely-rated titles when ratings matter
+    if (filters.minRating !== null || filters.maxRating !== null || filters.sort === 'rating') {
+      params['vote_count.gte'] = isMovie ? 100 : 50;
+    }
+
+    // "Newest" means released, not announced
+    if (filters.sort === 'newest' && !filters.yearTo) {
+      params[`${dateField}.lte`] = new Date().toISOString().split('T')[0];
+    }
+
+    logger.movie(`Discovering ${filters.type} (page ${page})`);
+
+    return this.getPagedList(
+      `discover:${region}:${language}:${JSON.stringify(params)}`,
+      isMovie ? '/discover/movie' : '/discover/tv',
+      params,
+      page,
+      item => (isMovie
+        ? { ...this.mapMovieResult(item), mediaType: 'movie' }
+        : { ...this.mapSeriesResult(item), mediaType: 'series' })
+    );
+  }
+
+  /**
+   * Get where a title can be watched in every region TMDB has data for
+   * @param {string} type - 'movie' or 'series'
+   * @param {number} id - TMDB movie/series ID
+   * @param {object} options - Locale options (unused, all regions are returned)
+   * @returns {Promise<object>} Offers by region code, each { flatrate, free, ads, rent, buy }
+   */
+  async getWatchProviders(type, id, options = {}) {
+    return this.getCached('providers', `watch-providers:${type}:${id}`, async () => {
+      return retryWithBackoff(async () => {
+        logger.movie(`Fetching watch providers for ${type} ${id}`);
+
+        const response = await this.client.get(type === 'movie' ? `/movie/${id}/watch/providers` : `/tv/${id}/watch/providers`, {
+          params: { api_key: this.apiKey }
+        });
+
+        const regions = {};
+        for (const [region, providers] of Object.entries(response.data.results || {})) {
+          regions[region] = this.mapWatchProviders(providers);
+        }
+        return regions;
+      }, this.maxRetries, 1000);
+    });
+  }
+
+  /**
+   * Get the watch providers TMDB lists for a region
+   * @param {string} type - 'movie' or 'series'
+   * @param {object} options - Locale options (see resolveLocale)
+   * @returns {Promise<object[]>} Services { id, name } in TMDB's display order for the region
+   */
+  async getStreamingServices(type, options = {}) {
+    const { region, language } = this.resolveLocale(options);
+
+    return this.getCached('details', `watch-provider-list:${type}:${region}:${language}`, async () => {
+      return retryWithBackoff(async () => {
+        logger.movie(`Fetching ${type} watch providers for ${region}`);
+
+        const response = await this.client.get(type === 'movie' ? '/watch/providers/movie' : '/watch/providers/tv', {
+          params: { api_key: this.apiKey, watch_region: region, language }
+        });
+
+        const priority = provider => provider.display_priorities?.[region] ?? provider.display_priority ?? Infinity;
+        return [...(response.data.results || [])]
+          .sort((a, b) => priority(a) - priority(b))
+          .map(provider => ({ id: provider.provider_id, name: provider.provider_name }));
+      }, this.maxRetries, 1000);
+    });
+  }
+
+  /**
+   * Get the certifications used in a region, from least to most restricted
+   * @param {string} type - 'movie' or 'series'
+   * @param {object} options - Locale options (see resolveLocale)
+   * @returns {Promise<string[]>} Certifications in TMDB's order (empty if the region has none)
+   */
+  async getCertifications(type, options = {}) {
+    const { region } = this.resolveLocale(options);
+
+    const lists = await this.getCached('details', `certifications:${type}`, async () => {
+      return retryWithBackoff(async () => {
+        logger.movie(`Fetching ${type} certifications`);
+
+        const response = await this.client.get(type === 'movie' ? '/certification/movie/list' : '/certification/tv/list', {
+          params: { api_key: this.apiKey }
+        });
+        return response.data.certifications;
+      }, this.maxRetries, 1000);
+    });
+
+    return [...(lists[region] || [])]
+      .sort((a, b) => a.order - b.order)
+      .map(entry => entry.certification);
+  }
+
+  /**
+   * Get a title's certification in a region without fetching its full details
+   * @param {string} type - 'movie' or 'series'
+   * @param {number} id - TMDB movie/series ID
+   * @param {object} options - Locale options (see resolveLocale)
+   * @returns {Promise<string|null>} Certification or null if unrated there
+   */
+  async getCertification(type, id, options = {}) {
+    const { region } = this.resolveLocale(options);
+
+    // Wrapped so that "unrated" is cached too
+    const { certification } = await this.getCached('details', `certification:${type}:${id}:${region}`, async () => {
+      return retryWithBackoff(async () => {
+        const response = type === 'movie'
+          ? await this.client.get(`/movie/${id}/release_dates`, { params: { api_key: this.apiKey } })
+          : await this.client.get(`/tv/${id}/content_ratings`, { params: { api_key: this.apiKey } });
+
+        return {
+          certification: type === 'movie'
+            ? this.getRegionalCertification(response.data.results, region)
+            : this.getRegionalContentRating(response.data.results, region)
+        };
+      }, this.maxRetries, 1000);
+    });
+
+    return certification;
+  }
+
+  /**
+   * Find the movie or series an external ID refers to (TMDB /find)
+   * @param {string} externalId - External ID, e.g. 'tt1375666'
+   * @param {string} source - TMDB external source, e.g. 'imdb_id'
+   * @param {object} options - Locale options (unused, IDs are region-independent)
+   * @returns {Promise<object|null>} { id, type } or null if TMDB doesn't know the ID
+   */
+  async findByExternalId(externalId, source = 'imdb_id', options = {}) {
+    return this.getCached('details', `find:${source}:${externalId}`, async () => {
+      return retryWithBackoff(async () => {
+        logger.movie(`Finding title by ${source}: ${externalId}`);
+
+        const response = await this.client.get(`/find/${encodeURIComponent(externalId)}`, {
+          params: { api_key: this.apiKey, external_source: source }
+        });
+        const { movie_results = [], tv_results = [], tv_episode_results = [] } = response.data;
+
+        if (movie_results.length > 0) return { id: movie_results[0].id, type: 'movie' };
+        if (tv_results.length > 0) return { id: tv_results[0].id, type: 'series' };
+        if (tv_episode_results.length > 0) return { id: tv_episode_results[0].show_id, type: 'series' };
+        return null;
       }, this.maxRetries, 1000);
     });
   }
@@ -138,45 +769,48 @@ class TMDBService {
   /**
    * Get detailed movie information
    * @param {number} movieId - TMDB movie ID
+   * @param {object} options - Locale options (see resolveLocale)
    * @returns {Promise<object>} Movie details
    */
-  async getMovieDetails(movieId) {
-    const cacheKey = `movie-details:${movieId}`;
+  async getMovieDetails(movieId, options = {}) {
+    const { region, language, trailerLanguages } = this.resolveLocale(options);
+    const cacheKey = `movie-details:${movieId}:${region}:${language}:${trailerLanguages.join(',')}`;
     
-    return this.getCached(cacheKey, async () => {
+    return this.getCached('details', cacheKey, async () => {
       return retryWithBackoff(async () => {
         logger.movie(`Fetching movie details: ${movieId}`);
         
         // Fetch multiple endpoints in parallel
-        const [details, credits, videos, watchProviders, externalIds] = await Promise.all([
+        const [details, credits, videos, watchProviders, externalIds, releaseDates] = await Promise.all([
           this.client.get(`/movie/${movieId}`, {
-            params: { api_key: this.apiKey, language: 'en-US' }
+            params: { api_key: this.apiKey, language }
           }),
           this.client.get(`/movie/${movieId}/credits`, {
             params: { api_key: this.apiKey }
           }),
           this.client.get(`/movie/${movieId}/videos`, {
-            params: { api_key: this.apiKey, language: 'en-US' }
+            params: { api_key: this.apiKey, include_video_language: [...trailerLanguages, 'null'].join(',') }
           }),
           this.client.get(`/movie/${movieId}/watch/providers`, {
             params: { api_key: this.apiKey }
           }),
           this.client.get(`/movie/${movieId}/external_ids`, {
             params: { api_key: this.apiKey }
+          }),
+          this.client.get(`/movie/${movieId}/release_dates`, {
+            params: { api_key: this.apiKey }
           })
         ]);
 
         const movie = details.data;
         const cast = credits.data.cast.slice(0, 5).map(actor => actor.name);
+        const { directors, writers, composers, castCredits } = this.mapCredits(credits.data);
         
-        // Find trailer (prioritize Hindi, Bengali, English)
-        const videoResults = videos.data.results;
-        const trailer = videoResults.find(v => v.type === 'Trailer' && v.site === 'YouTube' && 
-          ['hi', 'bn', 'en'].includes(v.iso_639_1)) || 
-          videoResults.find(v => v.type === 'Trailer' && v.site === 'YouTube');
-
-        // Get Indian streaming providers
-        const providers = watchProviders.data.results?.IN;
+        // Find trailer (by configured language priority)
+        const trailer = this.pickTrailer(videos.data.results, trailerLanguages);
+
+        // Get watch providers for the configured region
+        const providers = watchProviders.data.results?.[region];
         const streaming = [];
         const streamingDetails = [];
         if (providers?.flatrate) {
@@ -216,15 +850,25 @@ class TMDBService {
         const imdbLink = imdbId ? `https://www.imdb.com/title/${imdbId}` : null;
 
         // Build watch links - JustWatch aggregates all platforms on one page
-        const justWatchLink = `https://www.justwatch.com/in/movie/${movie.title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+        const justWatchLink = this.getJustWatchLink('movie', movie.title, region);
+
+        // Release date in the configured region (falls back to the primary release date)
+        const regionalReleaseDate = this.getRegionalReleaseDate(releaseDates.data.results, region)
+          || movie.release_date || null;
+        const certification = this.getRegionalCertification(releaseDates.data.results, region);
 
         return {
           title: movie.title,
           releaseDate: movie.release_date || 'N/A',
+          regionalReleaseDate,
           year: movie.release_date ? movie.release_date.split('-')[0] : 'N/A',
           rating: movie.vote_average ? movie.vote_average.toFixed(1) : 'N/A',
           description: movie.overview || 'No description available',
           cast: cast.length > 0 ? cast : [],
+          castCredits,
+          directors,
+          writers,
+          composers,
           genres,
           originCountry,
           countryFlag,
@@ -232,10 +876,13 @@ class TMDBService {
           trailer: trailer ? `https://www.youtube.com/watch?v=${trailer.key}` : null,
           streaming: streaming.length > 0 ? streaming : [],
           streamingDetails,
+          providers: this.mapWatchProviders(providers),
           justWatchLink,
           collectionInfo,
           imdbLink,
-          runtime: movie.runtime || null
+          runtime: movie.runtime || null,
+          certification,
+          adult: Boolean(movie.adult)
         };
       }, this.maxRetries, 1000);
     });
@@ -244,42 +891,46 @@ class TMDBService {
   /**
    * Get detailed series information
    * @param {number} seriesId - TMDB series ID
+   * @param {object} options - Locale options (see resolveLocale)
    * @returns {Promise<object>} Series details
    */
-  async getSeriesDetails(seriesId) {
-    const cacheKey = `series-details:${seriesId}`;
+  async getSeriesDetails(seriesId, options = {}) {
+    const { region, language, trailerLanguages } = this.resolveLocale(options);
+    const cacheKey = `series-details:${seriesId}:${region}:${language}:${trailerLanguages.join(',')}`;
     
-    return this.getCached(cacheKey, async () => {
+    return this.getCached('details', cacheKey, async () => {
       return retryWithBackoff(async () => {
         logger.movie(`Fetching series details: ${seriesId}`);
         
-        const [details, credits, videos, watchProviders, externalIds] = await Promise.all([
+        const [details, credits, videos, watchProviders, externalIds, contentRatings] = await Promise.all([
           this.client.get(`/tv/${seriesId}`, {
-            params: { api_key: this.apiKey, language: 'en-US' }
+            params: { api_key: this.apiKey, language }
           }),
           this.client.get(`/tv/${seriesId}/credits`, {
             params: { api_key: this.apiKey }
           }),
           this.client.get(`/tv/${seriesId}/videos`, {
-            params: { api_key: this.apiKey, language: 'en-US' }
+            params: { api_key: this.apiKey, include_video_language: [...trailerLanguages, 'null'].join(',') }
           }),
           this.client.get(`/tv/${seriesId}/watch/providers`, {
             params: { api_key: this.apiKey }
           }),
           this.client.get(`/tv/${seriesId}/external_ids`, {
             params: { api_key: this.apiKey }
+          }),
+          this.client.get(`/tv/${seriesId}/content_ratings`, {
+            params: { api_key: this.apiKey }
           })
         ]);
 
         const series = details.data;
         const cast = credits.data.cast.slice(0, 5).map(actor => actor.name);
+        // Series credits cover the latest season; creators stand in for directors
+        const { writers, composers, castCredits } = this.mapCredits(credits.data);
         
-        const videoResults = videos.data.results;
-        const trailer = videoResults.find(v => v.type === 'Trailer' && v.site === 'YouTube' && 
-          ['hi', 'bn', 'en'].includes(v.iso_639_1)) || 
-          videoResults.find(v => v.type === 'Trailer' && v.site === 'YouTube');
+        const trailer = this.pickTrailer(videos.data.results, trailerLanguages);
 
-        const providers = watchProviders.data.results?.IN;
+        const providers = watchProviders.data.results?.[region];
         const streaming = [];
         const streamingDetails = [];
         if (providers?.flatrate) {
@@ -310,7 +961,7 @@ class TMDBService {
         const imdbLink = imdbId ? `https://www.imdb.com/title/${imdbId}` : null;
 
         // Build watch link - JustWatch aggregates all platforms on one page
-        const justWatchLink = `https://www.justwatch.com/in/tv-show/${series.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+        const justWatchLink = this.getJustWatchLink('tv-show', series.name, region);
 
         return {
           title: series.name,
@@ -319,6 +970,10 @@ class TMDBService {
           rating: series.vote_average ? series.vote_average.toFixed(1) : 'N/A',
           description: series.overview || 'No description available',
           cast: cast.length > 0 ? cast : [],
+          castCredits,
+          creators: (series.created_by || []).map(creator => creator.name),
+          writers,
+          composers,
           genres,
           originCountry,
           countryFlag,
@@ -326,11 +981,187 @@ class TMDBService {
           trailer: trailer ? `https://www.youtube.com/watch?v=${trailer.key}` : null,
           streaming: streaming.length > 0 ? streaming : [],
           streamingDetails,
+          providers: this.mapWatchProviders(providers),
           justWatchLink,
           imdbLink,
           numberOfSeasons: series.number_of_seasons || null,
           numberOfEpisodes: series.number_of_episodes || null,
-          status: series.status || 'N/A'
+          status: series.status || 'N/A',
+          lastEpisode: this.mapEpisodeSummary(series.last_episode_to_air),
+          nextEpisode: this.mapEpisodeSummary(series.next_episode_to_air),
+          certification: this.getRegionalContentRating(contentRatings.data.results, region),
+          adult: Boolean(series.adult)
+        };
+      }, this.maxRetries, 1000);
+    });
+  }
+
+  /**
+   * Get a season of a series with its episode list
+   * @param {number} seriesId - TMDB series ID
+   * @param {number} seasonNumber - Season number
+   * @param {object} options - Locale options (see resolveLocale)
+   * @returns {Promise<object>} Season details
+   */
+  async getSeasonDetails(seriesId, seasonNumber, options = {}) {
+    const { language } = this.resolveLocale(options);
+    const cacheKey = `season-details:${seriesId}:${seasonNumber}:${language}`;
+    
+    return this.getCached('details', cacheKey, async () => {
+      return retryWithBackoff(async () => {
+        logger.movie(`Fetching season details: ${seriesId} S${seasonNumber}`);
+        
+        const response = await this.client.get(`/tv/${seriesId}/season/${seasonNumber}`, {
+          params: { api_key: this.apiKey, language }
+        });
+        const season = response.data;
+
+        return {
+          seasonNumber: season.season_number,
+          name: season.name || `Season ${seasonNumber}`,
+          airDate: season.air_date || null,
+          overview: season.overview || '',
+          poster: season.poster_path ? `https://image.tmdb.org/t/p/w500${season.poster_path}` : null,
+          episodes: (season.episodes || []).map(episode => ({
+            episodeNumber: episode.episode_number,
+            name: episode.name || `Episode ${episode.episode_number}`,
+            airDate: episode.air_date || null,
+            rating: episode.vote_average ? episode.vote_average.toFixed(1) : 'N/A',
+            runtime: episode.runtime || null
+          }))
+        };
+      }, this.maxRetries, 1000);
+    });
+  }
+
+  /**
+   * Get detailed episode information
+   * @param {number} seriesId - TMDB series ID
+   * @param {number} seasonNumber - Season number
+   * @param {number} episodeNumber - Episode number
+   * @param {object} options - Locale options (see resolveLocale)
+   * @returns {Promise<object>} Episode details
+   */
+  async getEpisodeDetails(seriesId, seasonNumber, episodeNumber, options = {}) {
+    const { language } = this.resolveLocale(options);
+    const cacheKey = `episode-details:${seriesId}:${seasonNumber}:${episodeNumber}:${language}`;
+    
+    return this.getCached('details', cacheKey, async () => {
+      return retryWithBackoff(async () => {
+        logger.movie(`Fetching episode details: ${seriesId} S${seasonNumber}E${episodeNumber}`);
+        
+        // Episode responses include crew and guest_stars
+        const response = await this.client.get(`/tv/${seriesId}/season/${seasonNumber}/episode/${episodeNumber}`, {
+          params: { api_key: this.apiKey, language }
+        });
+        const episode = response.data;
+
+        return {
+          seasonNumber: episode.season_number,
+          episodeNumber: episode.episode_number,
+          name: episode.name || `Episode ${episodeNumber}`,
+          airDate: episode.air_date || null,
+          rating: episode.vote_average ? episode.vote_average.toFixed(1) : 'N/A',
+          runtime: episode.runtime || null,
+          overview: episode.overview || 'No synopsis available',
+          still: episode.still_path ? `https://image.tmdb.org/t/p/w780${episode.still_path}` : null,
+          directors: (episode.crew || []).filter(member => member.job === 'Director').map(member => member.name),
+          guestStars: (episode.guest_stars || []).slice(0, 10).map(star => ({
+            name: star.name,
+            character: star.character || null
+          }))
+        };
+      }, this.maxRetries, 1000);
+    });
+  }
+
+  /**
+   * Merge cast and crew credits into one filmography, newest first
+   * A title the person worked on in several roles appears once with all roles
+   * @param {object} combinedCredits - TMDB combined_credits response
+   * @returns {object[]} Filmography entries { id, title, year, rating, mediaType, releaseDate, voteCount, role }
+   */
+  buildFilmography(combinedCredits) {
+    const byTitle = new Map();
+
+    for (const item of [...(combinedCredits.cast || []), ...(combinedCredits.crew || [])]) {
+      const mediaType = item.media_type === 'tv' ? 'series' : 'movie';
+      const key = `${mediaType}:${item.id}`;
+      const role = item.character || item.job;
+
+      const existing = byTitle.get(key);
+      if (existing) {
+        if (role && !existing.roles.includes(role)) existing.roles.push(role);
+        continue;
+      }
+
+      const releaseDate = item.release_date || item.first_air_date || '';
+      byTitle.set(key, {
+        id: item.id,
+        title: item.title || item.name,
+        year: releaseDate ? releaseDate.split('-')[0] : 'N/A',
+        rating: item.vote_average ? item.vote_average.toFixed(1) : 'N/A',
+        mediaType,
+        releaseDate,
+        voteCount: item.vote_count || 0,
+        roles: role ? [role] : []
+      });
+    }
+
+    // Undated (unannounced) titles sort last
+    return Array.from(byTitle.values())
+      .sort((a, b) => b.releaseDate.localeCompare(a.releaseDate))
+      .map(({ roles, ...entry }) => ({ ...entry, role: roles.join(', ') }));
+  }
+
+  /**
+   * Get detailed person information
+   * @param {number} personId - TMDB person ID
+   * @param {object} options - Locale options (see resolveLocale)
+   * @returns {Promise<object>} Person details
+   */
+  async getPersonDetails(personId, options = {}) {
+    const { language } = this.resolveLocale(options);
+    const cacheKey = `person-details:${personId}:${language}`;
+    
+    return this.getCached('details', cacheKey, async () => {
+      return retryWithBackoff(async () => {
+        logger.movie(`Fetching person details: ${personId}`);
+        
+        const [details, externalIds, combinedCredits] = await Promise.all([
+          this.client.get(`/person/${personId}`, {
+            params: { api_key: this.apiKey, language }
+          }),
+          this.client.get(`/person/${personId}/external_ids`, {
+            params: { api_key: this.apiKey }
+          }),
+          this.client.get(`/person/${personId}/combined_credits`, {
+            params: { api_key: this.apiKey, language }
+          })
+        ]);
+
+        const person = details.data;
+        const imdbId = externalIds.data.imdb_id;
+        const credits = this.buildFilmography(combinedCredits.data);
+
+        // Known for: most voted-on titles
+        const knownFor = [...credits]
+          .sort((a, b) => b.voteCount - a.voteCount)
+          .slice(0, 5)
+          .map(credit => credit.title);
+
+        return {
+          id: person.id,
+          name: person.name,
+          department: person.known_for_department || 'N/A',
+          biography: person.biography || 'No biography available',
+          birthday: person.birthday || null,
+          deathday: person.deathday || null,
+          placeOfBirth: person.place_of_birth || null,
+          photo: person.profile_path ? `https://image.tmdb.org/t/p/w500${person.profile_path}` : null,
+          imdbLink: imdbId ? `https://www.imdb.com/name/${imdbId}` : null,
+          knownFor,
+          credits
         };
       }, this.maxRetries, 1000);
     });
@@ -345,11 +1176,13 @@ class TMDBService {
     if (!url) return null;
     
     try {
-      const response = await axios.get(url, {
-        responseType: 'arraybuffer',
-        timeout: this.timeout
+      return await this.getCached('poster', `poster:${url}`, async () => {
+        const response = await axios.get(url, {
+          responseType: 'arraybuffer',
+          timeout: this.timeout
+        });
+        return Buffer.from(response.data);
       });
-      return Buffer.from(response.data);
     } catch (error) {
       logger.error(`Failed to download poster: ${error.message}`);
       return null;
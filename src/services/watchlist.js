@@ -0,0 +1,109 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+const { sanitizeJid } = require('../utils/helpers');
+
+// Keep lists (and the availability lookups when viewing them) bounded
+const MAX_WATCHLIST_SIZE = 50;
+
+/**
+ * Per-user watchlists for one account
+ *
+ * Lists are keyed by the sanitized sender JID, so the same person is
+ * recognised across devices and whether they write in a group or in private.
+ * Stored in DATA_PATH/watchlists/<accountId>.json.
+ */
+class WatchlistService {
+  constructor(accountId) {
+    this.accountId = accountId;
+    const dataPath = process.env.DATA_PATH || './data';
+    this.store = new JsonStore(path.join(dataPath, 'watchlists', `${accountId}.json`), { users: {} });
+  }
+
+  /**
+   * Get a user's watchlist
+   * @param {string} jid - User JID (any device/domain form)
+   * @returns {object[]} Entries { id, type, title, year, addedAt }, oldest first
+   */
+  getList(jid) {
+    return [...(this.store.data.users[sanitizeJid(jid)] || [])];
+  }
+
+  /**
+   * Add a title to a user's watchlist
+   * @param {string} jid - User JID
+   * @param {object} title - { id, type, title, year }
+   * @returns {object} { added, reason, position }
+   */
+  add(jid, title) {
+    const key = sanitizeJid(jid);
+    const list = this.store.data.users[key] || [];
+
+    const existing = list.findIndex(entry => entry.type === title.type && String(entry.id) === String(title.id));
+    if (existing !== -1) {
+      return { added: false, reason: 'duplicate', position: existing + 1 };
+    }
+
+    if (list.length >= MAX_WATCHLIST_SIZE) {
+      return { added: false, reason: 'full', position: null };
+    }
+
+    list.push({
+      id: title.id,
+      type: title.type,
+      title: title.title,
+      year: title.year,
+      addedAt: new Date().toISOString()
+    });
+    this.store.data.users[key] = list;
+    this.store.save();
+
+    return { added: true, reason: null, position: list.length };
+  }
+
+  /**
+   * Remove an entry by its 1-based position
+   * @param {string} jid - User JID
+   * @param {number} position - Position shown in the list view
+   * @returns {object|null} Removed entry
+   */
+  remove(jid, position) {
+    const key = sanitizeJid(jid);
+    const list = this.store.data.users[key] || [];
+    if (position < 1 || position > list.length) return null;
+
+    const [removed] = list.splice(position - 1, 1);
+    if (list.length === 0) {
+      delete this.store.data.users[key];
+    } else {
+      this.store.data.users[key] = list;
+    }
+    this.store.save();
+
+    return removed;
+  }
+
+  /**
+   * Export a user's watchlist as CSV
+   * @param {string} jid - User JID
+   * @returns {string} CSV text with a header row
+   */
+  exportCsv(jid) {
+    const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const rows = this.getList(jid).map(entry =>
+      [entry.title, entry.year, entry.type, entry.id, entry.addedAt].map(quote).join(',')
+    );
+    return ['title,year,type,id,added_at', ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Write pending changes to disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.store.flush();
+  }
+}
+
+WatchlistService.MAX_SIZE = MAX_WATCHLIST_SIZE;
+
+module.exports = WatchlistService;
@@ -106,6 +106,17 @@ function getMessageContent(message) {
     '';
 }
 
+/**
+ * Get the ID of the message a reply quotes
+ * @param {object} message - Baileys message object
+ * @returns {string|null} Quoted message ID
+ */
+function getQuotedMessageId(message) {
+  if (!message) return null;
+  
+  return message.extendedTextMessage?.contextInfo?.stanzaId || null;
+}
+
 /**
  * Check if message is from a group
  * @param {string} jid - JID (chat identifier)
@@ -125,6 +136,21 @@ function getPhoneFromJid(jid) {
   return jid.split('@')[0].split(':')[0];
 }
 
+/**
+ * Sanitize JID to clean phone number format
+ * Converts any JID (including LID with device IDs like 123456789:5@lid)
+ * to a clean phone number JID (123456789@s.whatsapp.net)
+ * @param {string} jid - The raw JID from Baileys
+ * @returns {string} Clean JID (e.g., 12345@s.whatsapp.net)
+ */
+function sanitizeJid(jid) {
+  if (!jid) return '';
+  // 1. Split by '@' to remove domain (@lid or @s.whatsapp.net)
+  // 2. Split by ':' to remove device ID (:2, :55)
+  // 3. Force add the standard phone domain
+  return getPhoneFromJid(jid) + '@s.whatsapp.net';
+}
+
 /**
  * Extract the best possible sender name from a Baileys message
  * Uses pushName first (the name user set for themselves in WhatsApp),
@@ -241,6 +267,9 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
       return await fn();
     } catch (error) {
       lastError = error;
+      // Client errors (bad ID, bad key) won't succeed on retry; rate limits might
+      const status = error.response?.status;
+      if (status >= 400 && status < 500 && status !== 429) break;
       if (i < maxRetries - 1) {
         const delay = baseDelay * Math.pow(2, i);
         await sleep(delay);
@@ -259,8 +288,10 @@ module.exports = {
   getRandomDelay,
   sleep,
   getMessageContent,
+  getQuotedMessageId,
   isGroupChat,
   getPhoneFromJid,
+  sanitizeJid,
   getSenderName,
   matchesGroupName,
   generateId,
@@ -63,6 +63,10 @@ function validateAccountsConfig(config) {
     if (!account.modules) {
       errors.push(`${prefix}: modules configuration is required`);
     }
+    
+    if (account.admins !== undefined && !Array.isArray(account.admins)) {
+      errors.push(`${prefix}: admins must be an array of phone numbers`);
+    }
   });
 
   return {
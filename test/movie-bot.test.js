@@ -0,0 +1,204 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Keep everything the bot writes out of the working tree
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hybrid-bot-test-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+process.env.LOGS_PATH = path.join(tempDir, 'logs');
+process.env.SESSIONS_PATH = path.join(tempDir, 'sessions');
+process.env.TMDB_CACHE_PATH = path.join(tempDir, 'cache');
+process.env.BOT_SLEEP_ENABLED = 'false';
+
+const AccountManager = require('../src/account-manager');
+const WatchlistService = require('../src/services/watchlist');
+const ReminderService = require('../src/services/reminders');
+const FollowService = require('../src/services/follows');
+const AvailabilityAlertService = require('../src/services/availability-alerts');
+const SubscriptionService = require('../src/services/subscriptions');
+const MovieNightService = require('../src/services/movie-nights');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'movies.json');
+const USER = '15550001111@s.whatsapp.net';
+const OTHER_USER = '15550002222@s.whatsapp.net';
+
+let accountCount = 0;
+
+/**
+ * Fake client that records what the bot sends
+ * @returns {object} Client with a `sent` list of { jid, text }
+ */
+function createClient() {
+  const sent = [];
+  const record = (jid, text) => {
+    sent.push({ jid, text });
+    return { key: { id: `BOT${sent.length}`, remoteJid: jid } };
+  };
+
+  return {
+    sent,
+    async sendMessage(jid, text) { return record(jid, text); },
+    async sendMedia(jid, buffer, type, caption) { return record(jid, caption); },
+    async sendDocument(jid, buffer, fileName, mimetype, caption) { return record(jid, caption); },
+    isConnected: () => true
+  };
+}
+
+/**
+ * Create an account manager with one fixture-backed account
+ * @returns {object} { manager, client, send } where send(text, options) returns the replies
+ */
+function createBot() {
+  const manager = new AccountManager();
+  const client = createClient();
+  const accountId = `test${++accountCount}`;
+  const modules = {
+    movieBot: {
+      enabled: true,
+      commandPrefix: '!',
+      allowedGroups: [],
+      rateLimit: { maxRequests: 100, windowMs: 60000 },
+      provider: 'fixture',
+      fixturePath: FIXTURE_PATH
+    }
+  };
+
+  manager.accounts.set(accountId, {
+    client,
+    config: { accountId, modules },
+    stealthLogger: null,
+    provider: manager.getMetadataProvider(modules.movieBot),
+    watchlist: new WatchlistService(accountId),
+    reminders: new ReminderService(accountId),
+    follows: new FollowService(accountId),
+    availabilityAlerts: new AvailabilityAlertService(accountId),
+    subscriptions: new SubscriptionService(accountId),
+    movieNights: new MovieNightService(accountId),
+    modules
+  });
+
+  let messageCount = 0;
+  const send = async (text, { from = USER, quoted = null } = {}) => {
+    const before = client.sent.length;
+    const message = quoted
+      ? { extendedTextMessage: { text, contextInfo: { stanzaId: quoted } } }
+      : { conversation: text };
+
+    await manager.handleMovieBot(accountId, { key: { remoteJid: from, id: `MSG${++messageCount}` }, message }, client, 'Tester', null);
+    return client.sent.slice(before);
+  };
+
+  return { manager, client, send };
+}
+
+after(() => fs.remove(tempDir));
+
+test('search replies with a numbered list', async () => {
+  const { send } = createBot();
+
+  const [reply] = await send('!movie star');
+
+  assert.match(reply.text, /Movies 1-5 of 7/);
+  assert.match(reply.text, /\*1\.\* Star Wars \(1977\)/);
+  assert.doesNotMatch(reply.text, /Lone Star/);
+});
+
+test('search without results says so', async () => {
+  const { send } = createBot();
+
+  const [reply] = await send('!movie zzzz');
+
+  assert.match(reply.text, /No movies found/);
+});
+
+test('a number opens that result', async () => {
+  const { send } = createBot();
+  await send('!movie star');
+
+  const [reply] = await send('2');
+
+  assert.match(reply.text, /^🎬 \*Star Trek\*/);
+});
+
+test('a number without a search is ignored', async () => {
+  const { send } = createBot();
+
+  assert.deepEqual(await send('1'), []);
+});
+
+test('!more and !prev page through results', async () => {
+  const { send } = createBot();
+  await send('!movie star');
+
+  const [next] = await send('!more');
+  assert.match(next.text, /Movies 6-7 of 7/);
+  assert.match(next.text, /\*7\.\* Lone Star \(1996\)/);
+
+  const [previous] = await send('!prev');
+  assert.match(previous.text, /Movies 1-5 of 7/);
+});
+
+test('numbers continue across pages', async () => {
+  const { send } = createBot();
+  await send('!movie star');
+
+  const [reply] = await send('7');
+
+  assert.match(reply.text, /^🎬 \*Lone Star\*/);
+});
+
+test('the list stays selectable after opening a result', async () => {
+  const { send } = createBot();
+  await send('!movie star');
+  await send('1');
+
+  const [reply] = await send('3');
+
+  assert.match(reply.text, /^🎬 \*A Star Is Born\*/);
+});
+
+test('replying to a list with a number picks from that list', async () => {
+  const { client, send } = createBot();
+  await send('!movie star');
+  const listId = `BOT${client.sent.length}`;
+  await send('!series dark', { from: OTHER_USER });
+
+  const [reply] = await send('4', { from: OTHER_USER, quoted: listId });
+
+  assert.match(reply.text, /^🎬 \*Stardust\*/);
+});
+
+test('watchlist add, list and remove', async () => {
+  const { send } = createBot();
+  await send('!movie star');
+  await send('1');
+
+  const [addOpened] = await send('!watchlist add');
+  assert.match(addOpened.text, /Added \*Star Wars\*/);
+
+  const [addByNumber] = await send('!watchlist add 2');
+  assert.match(addByNumber.text, /Added \*Star Trek\*/);
+
+  const [list] = await send('!watchlist');
+  assert.match(list.text, /Your Watchlist \(2\)/);
+  assert.match(list.text, /Disney Plus/);
+
+  const [removed] = await send('!watchlist remove 1');
+  assert.match(removed.text, /Star Wars/);
+
+  const [remaining] = await send('!watchlist');
+  assert.match(remaining.text, /Your Watchlist \(1\)/);
+  assert.doesNotMatch(remaining.text, /Star Wars/);
+});
+
+test('watchlists are kept per user', async () => {
+  const { send } = createBot();
+  await send('!movie star');
+  await send('!watchlist add 1');
+
+  const [reply] = await send('!watchlist', { from: OTHER_USER });
+
+  assert.doesNotMatch(reply.text, /Star Wars/);
+});